@@ -1,35 +1,57 @@
 import Stripe from 'stripe';
+import { createClient } from '@supabase/supabase-js';
+import jwt from 'jsonwebtoken';
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-
-const PLANS = {
-  starter: { priceId: 'price_1Rgk1nC5gE6T33JWRicQl74o', credits: 25 },
-  popular: { priceId: 'price_1Rgk3HC5gE6T33JWYFZVxoxi', credits: 60 },
-  professional: { priceId: 'price_1Rgk4bC5gE6T33JW48SDYiOb', credits: 150 },
-  business: { priceId: 'price_1Rgk65C5gE6T33JW65ZYnuu5', credits: 300 },
-};
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
-  const { plan, quantity = 1, email } = req.body;
-  if (!PLANS[plan] || !quantity || quantity < 1) {
+  const { plan, quantity = 1 } = req.body;
+  if (!plan || !Number.isInteger(quantity) || quantity < 1) {
     return res.status(400).json({ error: 'Invalid plan or quantity' });
   }
   try {
+    const token = req.cookies?.auth_token || (req.headers.cookie || '').split('; ').find(row => row.startsWith('auth_token='))?.split('=')[1];
+    if (!token) {
+      return res.status(401).json({ error: 'No authentication token provided' });
+    }
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const { data: user, error: userError } = await supabase
+      .from('user_profiles')
+      .select('id, email')
+      .eq('id', decoded.userId)
+      .single();
+    if (userError || !user) {
+      return res.status(401).json({ error: 'Invalid authentication token' });
+    }
+    const { data: pkg, error: pkgError } = await supabase
+      .from('credit_packages')
+      .select('*')
+      .eq('slug', plan)
+      .eq('active', true)
+      .maybeSingle();
+    if (pkgError || !pkg || !pkg.stripe_price_id) {
+      return res.status(400).json({ error: 'Invalid plan or quantity' });
+    }
     const session = await stripe.checkout.sessions.create({
       ui_mode: 'embedded',
       line_items: [
         {
-          price: PLANS[plan].priceId,
+          price: pkg.stripe_price_id,
           quantity,
         },
       ],
       mode: 'payment',
       return_url: `${process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000'}/return.html?session_id={CHECKOUT_SESSION_ID}`,
-      customer_email: email || undefined,
+      customer_email: user.email,
+      // The webhook credits this user id, not whoever's email Stripe reports back
+      client_reference_id: user.id,
       metadata: {
+        user_id: user.id,
         plan,
-        credits: PLANS[plan].credits,
+        package_id: pkg.id,
+        credits: pkg.credits,
         quantity,
       },
     });
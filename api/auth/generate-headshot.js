@@ -1,8 +1,12 @@
 import { createClient } from '@supabase/supabase-js';
-import Replicate from 'replicate';
 import jwt from 'jsonwebtoken';
 import formidable from 'formidable';
 import fs from 'fs';
+import { fetchModelPricing, quoteCredits } from '../../lib/pricing.js';
+import { megapixels } from '../../lib/image-size.js';
+import { MAX_UPLOAD_BYTES, MODEL_IMAGE_TYPES, fileTooLarge, validateImage } from '../../lib/upload-validation.js';
+import { createImageProvider, runPrediction } from '../../lib/providers/index.js';
+import { findModel, validateModelInputs } from '../../lib/models.js';
 
 export const config = {
   api: {
@@ -11,7 +15,8 @@ export const config = {
 };
 
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
-const replicate = new Replicate({ auth: process.env.REPLICATE_API_TOKEN });
+const imageProvider = createImageProvider();
+const headshotModel = findModel('professional-headshot', 'headshot');
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -19,8 +24,12 @@ export default async function handler(req, res) {
   }
   try {
     // Parse form data
-    const form = new formidable.IncomingForm();
+    const form = new formidable.IncomingForm({ maxFileSize: MAX_UPLOAD_BYTES });
     form.parse(req, async (err, fields, files) => {
+      if (err?.code === formidable.errors.biggerThanMaxFileSize) {
+        const { code, status, message } = fileTooLarge();
+        return res.status(status).json({ error: 'Invalid image', code, message });
+      }
       if (err) {
         return res.status(400).json({ error: 'Error parsing form data' });
       }
@@ -39,50 +48,81 @@ export default async function handler(req, res) {
       if (userError || !user) {
         return res.status(401).json({ error: 'Invalid authentication token' });
       }
-      if (user.credits < 1) {
-        return res.status(400).json({ error: 'Insufficient credits', message: 'You need at least 1 credit to generate a headshot. Please purchase more credits.' });
-      }
       // Get file
       const file = files.image;
       if (!file) {
         return res.status(400).json({ error: 'No image file uploaded' });
       }
+      // Check the inputs against the model registry
+      const { input: modelInput, parameters, errors } = validateModelInputs(headshotModel, fields);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid parameters', details: errors.join('. ') });
+      }
       const imageBuffer = fs.readFileSync(file.filepath);
-      const imageDataUri = `data:${file.mimetype};base64,${imageBuffer.toString('base64')}`;
-      // Prepare input for the model
-      const input = {
-        input_image: imageDataUri,
-        gender: fields.gender || 'none',
-        background: fields.background || 'neutral',
-        aspect_ratio: fields.aspectRatio || '1:1'
-      };
-      if (fields.seed && fields.seed.trim() !== '') {
-        input.seed = parseInt(fields.seed);
+      // Checked by content; the image is sent as it is, so only types the
+      // model reads are accepted
+      const { type: imageType, error: imageError } = await validateImage(
+        { buffer: imageBuffer, mimetype: file.mimetype, originalname: file.originalFilename || 'image' },
+        { types: MODEL_IMAGE_TYPES }
+      );
+      if (imageError) {
+        return res.status(imageError.status).json({ error: 'Invalid image', code: imageError.code, message: imageError.message });
       }
-      // Run the model
-      const output = await replicate.run('flux-kontext-apps/professional-headshot', { input });
-      // Deduct credit from user
-      await supabase.rpc('update_user_credits', {
+      const imageDataUri = `data:${imageType};base64,${imageBuffer.toString('base64')}`;
+      const input = { ...modelInput, [headshotModel.imageInput]: imageDataUri };
+      // Price the generation from model_pricing
+      const pricing = await fetchModelPricing(supabase, headshotModel.replicateModel);
+      if (!pricing) {
+        return res.status(500).json({ error: 'Pricing unavailable', message: `No price is configured for ${headshotModel.id}` });
+      }
+      const { credits } = quoteCredits(pricing, { megapixels: megapixels(imageBuffer) });
+      // Hold the credits before calling the model so parallel requests can't spend them twice
+      const { data: holdId, error: holdError } = await supabase.rpc('reserve_user_credits', {
         user_uuid: user.id,
-        credit_change: -1,
+        amount: credits,
+        hold_description: 'Professional headshot'
+      });
+      if (holdError) {
+        console.error('Credit reservation error:', holdError);
+        return res.status(500).json({ error: 'Failed to generate headshot' });
+      }
+      if (!holdId) {
+        return res.status(400).json({ error: 'Insufficient credits', message: `You need ${credits} credit${credits === 1 ? '' : 's'} to generate a headshot. Please purchase more credits.` });
+      }
+      // Run the model, giving the credits back if it fails
+      let output;
+      try {
+        output = await runPrediction(imageProvider, headshotModel, input);
+      } catch (runError) {
+        await supabase.rpc('release_credit_hold', { hold_uuid: holdId });
+        console.error('Model run error:', runError);
+        return res.status(500).json({ error: 'Failed to generate headshot', details: runError.message });
+      }
+      // Charge the held credits; no charge, no image
+      const { data: committed, error: commitError } = await supabase.rpc('commit_credit_hold', {
+        hold_uuid: holdId,
         transaction_type: 'usage',
         description: 'Generated professional headshot'
       });
+      if (commitError || !committed) {
+        console.error('Credit commit error:', commitError);
+        return res.status(402).json({ error: 'Insufficient credits', message: 'Your credit reservation expired before the result was ready. Please try again.' });
+      }
       // Log the generation
       await supabase
         .from('headshot_generations')
         .insert({
           user_id: user.id,
           image_url: output,
-          parameters: { gender: fields.gender, background: fields.background, aspectRatio: fields.aspectRatio, seed: fields.seed },
-          credits_used: 1,
+          parameters: { model: headshotModel.id, ...parameters },
+          credits_used: credits,
           status: 'completed'
         });
       res.status(200).json({
         success: true,
         imageUrl: output,
         message: 'Professional headshot generated successfully!',
-        creditsRemaining: user.credits - 1
+        creditsRemaining: user.credits - credits
       });
     });
   } catch (error) {
@@ -1,8 +1,12 @@
 import { createClient } from '@supabase/supabase-js';
-import Replicate from 'replicate';
 import jwt from 'jsonwebtoken';
 import formidable from 'formidable';
 import fs from 'fs';
+import { fetchModelPricing, quoteCredits } from '../../lib/pricing.js';
+import { megapixels } from '../../lib/image-size.js';
+import { MAX_UPLOAD_BYTES, MODEL_IMAGE_TYPES, fileTooLarge, validateImage } from '../../lib/upload-validation.js';
+import { createImageProvider, runPrediction } from '../../lib/providers/index.js';
+import { DEFAULT_IMAGE_EDIT_MODEL, findModel, validateModelInputs } from '../../lib/models.js';
 
 export const config = {
   api: {
@@ -11,7 +15,7 @@ export const config = {
 };
 
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
-const replicate = new Replicate({ auth: process.env.REPLICATE_API_TOKEN });
+const imageProvider = createImageProvider();
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -19,8 +23,12 @@ export default async function handler(req, res) {
   }
   try {
     // Parse form data
-    const form = new formidable.IncomingForm();
+    const form = new formidable.IncomingForm({ maxFileSize: MAX_UPLOAD_BYTES });
     form.parse(req, async (err, fields, files) => {
+      if (err?.code === formidable.errors.biggerThanMaxFileSize) {
+        const { code, status, message } = fileTooLarge();
+        return res.status(status).json({ error: 'Invalid image', code, message });
+      }
       if (err) {
         return res.status(400).json({ error: 'Error parsing form data' });
       }
@@ -39,50 +47,88 @@ export default async function handler(req, res) {
       if (userError || !user) {
         return res.status(401).json({ error: 'Invalid authentication token' });
       }
-      if (user.credits < 1) {
-        return res.status(400).json({ error: 'Insufficient credits', message: 'You need at least 1 credit to edit an image. Please purchase more credits.' });
-      }
       // Get file
       const file = files.image;
       if (!file) {
         return res.status(400).json({ error: 'No image file uploaded' });
       }
-      // Check for prompt
-      if (!fields.prompt || fields.prompt.trim() === '') {
-        return res.status(400).json({ error: 'Prompt is required for image editing' });
+      // Check the model and its inputs against the registry
+      const model = findModel(fields.model || DEFAULT_IMAGE_EDIT_MODEL, 'image_edit');
+      if (!model) {
+        return res.status(400).json({ error: 'Unknown model', message: `${fields.model} is not an image editing model` });
+      }
+      const { input: modelInput, parameters, errors } = validateModelInputs(model, fields);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid parameters', details: errors.join('. ') });
       }
       const imageBuffer = fs.readFileSync(file.filepath);
-      const imageDataUri = `data:${file.mimetype};base64,${imageBuffer.toString('base64')}`;
-      // Prepare input for the Flux Kontext Pro model
+      // Checked by content; the image is sent as it is, so only types the
+      // model reads are accepted
+      const { type: imageType, error: imageError } = await validateImage(
+        { buffer: imageBuffer, mimetype: file.mimetype, originalname: file.originalFilename || 'image' },
+        { types: MODEL_IMAGE_TYPES }
+      );
+      if (imageError) {
+        return res.status(imageError.status).json({ error: 'Invalid image', code: imageError.code, message: imageError.message });
+      }
+      const imageDataUri = `data:${imageType};base64,${imageBuffer.toString('base64')}`;
       const input = {
-        prompt: fields.prompt.trim(),
-        input_image: imageDataUri,
-        output_format: fields.outputFormat || 'jpg'
+        ...modelInput,
+        [model.imageInput]: imageDataUri
       };
-      // Run the model
-      const output = await replicate.run('black-forest-labs/flux-kontext-pro', { input });
-      // Deduct credit from user
-      await supabase.rpc('update_user_credits', {
+      // Price the generation from model_pricing
+      const pricing = await fetchModelPricing(supabase, model.replicateModel);
+      if (!pricing) {
+        return res.status(500).json({ error: 'Pricing unavailable', message: `No price is configured for ${model.id}` });
+      }
+      const { credits } = quoteCredits(pricing, { megapixels: megapixels(imageBuffer), outputFormat: modelInput.output_format });
+      // Hold the credits before calling the model so parallel requests can't spend them twice
+      const { data: holdId, error: holdError } = await supabase.rpc('reserve_user_credits', {
         user_uuid: user.id,
-        credit_change: -1,
+        amount: credits,
+        hold_description: 'Image edit'
+      });
+      if (holdError) {
+        console.error('Credit reservation error:', holdError);
+        return res.status(500).json({ error: 'Failed to edit image' });
+      }
+      if (!holdId) {
+        return res.status(400).json({ error: 'Insufficient credits', message: `You need ${credits} credit${credits === 1 ? '' : 's'} to edit an image. Please purchase more credits.` });
+      }
+      // Run the model, giving the credits back if it fails
+      let output;
+      try {
+        output = await runPrediction(imageProvider, model, input);
+      } catch (runError) {
+        await supabase.rpc('release_credit_hold', { hold_uuid: holdId });
+        console.error('Model run error:', runError);
+        return res.status(500).json({ error: 'Failed to edit image', details: runError.message });
+      }
+      // Charge the held credits; no charge, no image
+      const { data: committed, error: commitError } = await supabase.rpc('commit_credit_hold', {
+        hold_uuid: holdId,
         transaction_type: 'usage',
         description: 'Generated image edit'
       });
+      if (commitError || !committed) {
+        console.error('Credit commit error:', commitError);
+        return res.status(402).json({ error: 'Insufficient credits', message: 'Your credit reservation expired before the result was ready. Please try again.' });
+      }
       // Log the generation
       await supabase
         .from('image_edits')
         .insert({
           user_id: user.id,
           image_url: output,
-          parameters: { prompt: fields.prompt, outputFormat: fields.outputFormat },
-          credits_used: 1,
+          parameters: { model: model.id, ...parameters },
+          credits_used: credits,
           status: 'completed'
         });
       res.status(200).json({
         success: true,
         imageUrl: output,
         message: 'Image edited successfully!',
-        creditsRemaining: user.credits - 1
+        creditsRemaining: user.credits - credits
       });
     });
   } catch (error) {
@@ -2,7 +2,7 @@ import Stripe from 'stripe';
 import { createClient } from '@supabase/supabase-js';
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
 
 export const config = {
   api: {
@@ -27,29 +27,45 @@ export default async function handler(req, res) {
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  if (event.type === 'checkout.session.completed') {
+  // Async payment methods complete the session unpaid and settle later
+  const paidCheckout =
+    (event.type === 'checkout.session.completed' && event.data.object.payment_status !== 'unpaid') ||
+    event.type === 'checkout.session.async_payment_succeeded';
+
+  if (paidCheckout) {
     const session = event.data.object;
-    const email = session.customer_details?.email;
     const plan = session.metadata?.plan;
     const credits = parseInt(session.metadata?.credits || '0', 10);
     const quantity = parseInt(session.metadata?.quantity || '1', 10);
-    if (email && credits && quantity) {
+    if (credits && quantity) {
       try {
-        const { data: user, error } = await supabase
-          .from('user_profiles')
-          .select('id, credits')
-          .eq('email', email)
-          .single();
-        if (!user) throw new Error('User not found');
-        const newCredits = (user.credits || 0) + credits * quantity;
-        await supabase
-          .from('user_profiles')
-          .update({ credits: newCredits })
-          .eq('id', user.id);
+        let userId = session.client_reference_id || session.metadata?.user_id;
+        // Sessions created before checkout carried our user id
+        if (!userId && session.customer_details?.email) {
+          const { data: user } = await supabase
+            .from('user_profiles')
+            .select('id')
+            .eq('email', session.customer_details.email)
+            .single();
+          userId = user?.id;
+        }
+        if (!userId) throw new Error(`User not found for checkout session ${session.id}`);
+        const { error } = await supabase.rpc('apply_stripe_credit_event', {
+          event_id: event.id,
+          event_type: event.type,
+          user_uuid: userId,
+          credit_change: credits * quantity,
+          transaction_type: 'purchase',
+          checkout_session_id: session.id,
+          description: `Purchased ${credits * quantity} credits - ${plan} plan`
+        });
+        if (error) throw error;
       } catch (err) {
+        // A non-2xx response makes Stripe retry; the event ledger keeps retries safe
         console.error('Failed to update credits:', err.message);
+        return res.status(500).json({ error: 'Failed to apply credits' });
       }
     }
   }
   res.status(200).end();
-} 
\ No newline at end of file
+}
\ No newline at end of file
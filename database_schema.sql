@@ -111,3 +111,1494 @@ BEGIN
   RETURN TRUE;
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 9. Create generation jobs table (async image edits, polled by the frontend)
+CREATE TABLE public.generation_jobs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) NOT NULL,
+  kind TEXT NOT NULL DEFAULT 'image_edit',
+  model TEXT NOT NULL,
+  prediction_id TEXT UNIQUE, -- Replicate prediction id
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed')),
+  parameters JSONB, -- Same shape as image_edits.parameters
+  image_url TEXT,
+  error TEXT,
+  image_edit_id UUID REFERENCES public.image_edits(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_generation_jobs_user_created ON public.generation_jobs(user_id, created_at DESC);
+
+ALTER TABLE public.generation_jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own generation jobs" ON public.generation_jobs
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- 10. Create credit holds table (credits reserved while a generation runs)
+-- Held credits are already taken off user_profiles.credits; the usage row in
+-- credit_transactions is only written when the hold is committed.
+CREATE TABLE public.credit_holds (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) NOT NULL,
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  status TEXT NOT NULL DEFAULT 'held' CHECK (status IN ('held', 'committed', 'released', 'expired')),
+  description TEXT,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  resolved_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_credit_holds_held_expiry ON public.credit_holds(expires_at) WHERE status = 'held';
+
+ALTER TABLE public.credit_holds ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own credit holds" ON public.credit_holds
+  FOR SELECT USING (auth.uid() = user_id);
+
+ALTER TABLE public.generation_jobs
+  ADD COLUMN IF NOT EXISTS credit_hold_id UUID REFERENCES public.credit_holds(id),
+  ADD COLUMN IF NOT EXISTS credits_used INTEGER DEFAULT 1;
+
+-- 11. Create function to return stale holds to their owners
+-- Called on every reservation, on profile loads and by the daily
+-- /api/cron/expire-credits sweep; can also be scheduled more often, e.g. with pg_cron:
+--   SELECT cron.schedule('expire-credit-holds', '*/5 * * * *', 'SELECT public.expire_credit_holds()');
+CREATE OR REPLACE FUNCTION public.expire_credit_holds(
+  user_uuid UUID DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+  expired_count INTEGER := 0;
+  hold_row RECORD;
+BEGIN
+  FOR hold_row IN
+    UPDATE public.credit_holds
+    SET status = 'expired',
+        resolved_at = NOW()
+    WHERE status = 'held'
+      AND expires_at < NOW()
+      AND (user_uuid IS NULL OR user_id = user_uuid)
+    RETURNING user_id, amount
+  LOOP
+    UPDATE public.user_profiles
+    SET credits = credits + hold_row.amount,
+        updated_at = NOW()
+    WHERE id = hold_row.user_id;
+
+    expired_count := expired_count + 1;
+  END LOOP;
+
+  RETURN expired_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 12. Create function to reserve credits before a generation
+-- Returns the hold id, or NULL when the balance is too low
+CREATE OR REPLACE FUNCTION public.reserve_user_credits(
+  user_uuid UUID,
+  amount INTEGER,
+  hold_description TEXT DEFAULT NULL,
+  hold_ttl INTERVAL DEFAULT INTERVAL '1 hour'
+)
+RETURNS UUID AS $$
+DECLARE
+  hold_id UUID;
+BEGIN
+  PERFORM public.expire_credit_holds(user_uuid);
+
+  -- The balance check and the deduction happen in one statement, so
+  -- concurrent reservations can't both spend the same credits
+  UPDATE public.user_profiles
+  SET credits = credits - amount,
+      updated_at = NOW()
+  WHERE id = user_uuid
+    AND credits >= amount;
+
+  IF NOT FOUND THEN
+    RETURN NULL; -- Insufficient credits
+  END IF;
+
+  INSERT INTO public.credit_holds (user_id, amount, description, expires_at)
+  VALUES (user_uuid, amount, hold_description, NOW() + hold_ttl)
+  RETURNING id INTO hold_id;
+
+  RETURN hold_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 13. Create function to turn a hold into a usage transaction
+CREATE OR REPLACE FUNCTION public.commit_credit_hold(
+  hold_uuid UUID,
+  transaction_type TEXT DEFAULT 'usage',
+  description TEXT DEFAULT NULL
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  hold_row RECORD;
+BEGIN
+  UPDATE public.credit_holds
+  SET status = 'committed',
+      resolved_at = NOW()
+  WHERE id = hold_uuid
+    AND status = 'held'
+  RETURNING * INTO hold_row;
+
+  IF NOT FOUND THEN
+    RETURN FALSE; -- Already committed, released or expired
+  END IF;
+
+  INSERT INTO public.credit_transactions (user_id, amount, transaction_type, description)
+  VALUES (hold_row.user_id, -hold_row.amount, transaction_type, COALESCE(description, hold_row.description));
+
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 14. Create function to give held credits back after a failed generation
+CREATE OR REPLACE FUNCTION public.release_credit_hold(
+  hold_uuid UUID
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  hold_row RECORD;
+BEGIN
+  UPDATE public.credit_holds
+  SET status = 'released',
+      resolved_at = NOW()
+  WHERE id = hold_uuid
+    AND status = 'held'
+  RETURNING * INTO hold_row;
+
+  IF NOT FOUND THEN
+    RETURN FALSE;
+  END IF;
+
+  UPDATE public.user_profiles
+  SET credits = credits + hold_row.amount,
+      updated_at = NOW()
+  WHERE id = hold_row.user_id;
+
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 15. Record the Stripe checkout session behind purchase transactions
+ALTER TABLE public.credit_transactions
+  ADD COLUMN IF NOT EXISTS stripe_session_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_credit_transactions_stripe_session ON public.credit_transactions(stripe_session_id);
+
+-- update_user_credits gains an optional Stripe session id; drop the old
+-- signature so calls with four arguments aren't ambiguous
+DROP FUNCTION IF EXISTS public.update_user_credits(UUID, INTEGER, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION public.update_user_credits(
+  user_uuid UUID,
+  credit_change INTEGER,
+  transaction_type TEXT,
+  description TEXT DEFAULT NULL,
+  stripe_session_id TEXT DEFAULT NULL
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  current_credits INTEGER;
+BEGIN
+  -- Get current credits
+  SELECT credits INTO current_credits
+  FROM public.user_profiles
+  WHERE id = user_uuid;
+
+  -- Check if user has enough credits for negative transactions
+  IF credit_change < 0 AND current_credits + credit_change < 0 THEN
+    RETURN FALSE; -- Insufficient credits
+  END IF;
+
+  -- Update user credits
+  UPDATE public.user_profiles
+  SET credits = credits + credit_change,
+      updated_at = NOW()
+  WHERE id = user_uuid;
+
+  -- Record transaction
+  INSERT INTO public.credit_transactions (user_id, amount, transaction_type, description, stripe_session_id)
+  VALUES (user_uuid, credit_change, transaction_type, description, stripe_session_id);
+
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 16. Create processed Stripe events ledger (each webhook event applies once)
+CREATE TABLE public.stripe_events (
+  id TEXT PRIMARY KEY, -- Stripe event id (evt_...)
+  type TEXT NOT NULL,
+  user_id UUID REFERENCES auth.users(id),
+  stripe_session_id TEXT,
+  processed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE public.stripe_events ENABLE ROW LEVEL SECURITY;
+
+-- 17. Create function to apply a Stripe event's credit change exactly once
+-- Returns FALSE when the event (or the same change for the same checkout
+-- session, e.g. completed followed by async_payment_succeeded) was already applied
+CREATE OR REPLACE FUNCTION public.apply_stripe_credit_event(
+  event_id TEXT,
+  event_type TEXT,
+  user_uuid UUID,
+  credit_change INTEGER,
+  transaction_type TEXT,
+  checkout_session_id TEXT,
+  description TEXT DEFAULT NULL
+)
+RETURNS BOOLEAN AS $$
+BEGIN
+  INSERT INTO public.stripe_events (id, type, user_id, stripe_session_id)
+  VALUES (event_id, event_type, user_uuid, checkout_session_id)
+  ON CONFLICT (id) DO NOTHING;
+
+  IF NOT FOUND THEN
+    RETURN FALSE; -- Event already processed
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM public.credit_transactions ct
+    WHERE ct.stripe_session_id = checkout_session_id
+      AND ct.transaction_type = apply_stripe_credit_event.transaction_type
+  ) THEN
+    RETURN FALSE; -- Session already credited by another event
+  END IF;
+
+  IF NOT public.update_user_credits(user_uuid, credit_change, transaction_type, description, checkout_session_id) THEN
+    RAISE EXCEPTION 'Credit update failed for user %', user_uuid;
+  END IF;
+
+  IF transaction_type = 'purchase' THEN
+    UPDATE public.user_profiles
+    SET total_credits_purchased = total_credits_purchased + credit_change
+    WHERE id = user_uuid;
+  END IF;
+
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 18. Account lock for open payment disputes
+ALTER TABLE public.user_profiles
+  ADD COLUMN IF NOT EXISTS account_status TEXT NOT NULL DEFAULT 'active' CHECK (account_status IN ('active', 'locked'));
+
+-- 19. Create in-app notifications table
+CREATE TABLE public.notifications (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) NOT NULL,
+  type TEXT NOT NULL, -- 'refund', 'chargeback', 'payment_failed', ...
+  title TEXT NOT NULL,
+  message TEXT,
+  read_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_notifications_user_created ON public.notifications(user_id, created_at DESC);
+
+ALTER TABLE public.notifications ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own notifications" ON public.notifications
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- 20. Create function to claw back (or restore) credits bought in a checkout session
+-- reversed_total is how many of the session's purchased credits should be
+-- reversed once this event is applied; the function moves the balance by the
+-- difference to what was already reversed, so partial refunds and won
+-- disputes net out. Balances may go negative. Returns the credits taken
+-- (negative when restored), or NULL when the event was already processed.
+CREATE OR REPLACE FUNCTION public.reverse_stripe_credits(
+  event_id TEXT,
+  event_type TEXT,
+  user_uuid UUID,
+  checkout_session_id TEXT,
+  reversed_total INTEGER,
+  transaction_type TEXT,
+  description TEXT DEFAULT NULL,
+  new_account_status TEXT DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+  purchased INTEGER;
+  already_reversed INTEGER;
+  credit_change INTEGER;
+BEGIN
+  INSERT INTO public.stripe_events (id, type, user_id, stripe_session_id)
+  VALUES (event_id, event_type, user_uuid, checkout_session_id)
+  ON CONFLICT (id) DO NOTHING;
+
+  IF NOT FOUND THEN
+    RETURN NULL; -- Event already processed
+  END IF;
+
+  SELECT COALESCE(SUM(ct.amount), 0) INTO purchased
+  FROM public.credit_transactions ct
+  WHERE ct.stripe_session_id = checkout_session_id
+    AND ct.transaction_type = 'purchase';
+
+  SELECT COALESCE(-SUM(ct.amount), 0) INTO already_reversed
+  FROM public.credit_transactions ct
+  WHERE ct.stripe_session_id = checkout_session_id
+    AND ct.transaction_type IN ('refund', 'chargeback', 'chargeback_reversal', 'payment_failed');
+
+  credit_change := already_reversed - LEAST(GREATEST(reversed_total, 0), purchased);
+
+  IF credit_change <> 0 THEN
+    UPDATE public.user_profiles
+    SET credits = credits + credit_change,
+        total_credits_purchased = total_credits_purchased + credit_change,
+        updated_at = NOW()
+    WHERE id = user_uuid;
+
+    INSERT INTO public.credit_transactions (user_id, amount, transaction_type, description, stripe_session_id)
+    VALUES (user_uuid, credit_change, transaction_type, description, checkout_session_id);
+  END IF;
+
+  IF new_account_status IS NOT NULL THEN
+    UPDATE public.user_profiles
+    SET account_status = new_account_status,
+        updated_at = NOW()
+    WHERE id = user_uuid;
+  END IF;
+
+  RETURN -credit_change;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 21. Create credit packages table (read by GET /api/credits/packages and checkout)
+-- Compatible with the credit_packages table from supabase_credits_schema.sql.
+-- bonus_percentage is the extra credits per dollar compared to the Starter pack.
+CREATE TABLE IF NOT EXISTS public.credit_packages (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(50) NOT NULL,
+  credits INTEGER NOT NULL,
+  price_cents INTEGER NOT NULL, -- Store price in cents (e.g., 999 = $9.99)
+  bonus_percentage INTEGER DEFAULT 0,
+  popular BOOLEAN DEFAULT FALSE,
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE public.credit_packages
+  ADD COLUMN IF NOT EXISTS slug TEXT UNIQUE, -- Plan key sent by the frontend, e.g. 'starter'
+  ADD COLUMN IF NOT EXISTS stripe_price_id TEXT;
+
+ALTER TABLE public.credit_packages ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view active credit packages" ON public.credit_packages;
+CREATE POLICY "Anyone can view active credit packages" ON public.credit_packages
+  FOR SELECT USING (active = TRUE);
+
+INSERT INTO public.credit_packages (slug, name, credits, price_cents, bonus_percentage, popular, stripe_price_id) VALUES
+  ('starter', 'Starter', 25, 999, 0, FALSE, 'price_1Rgk1nC5gE6T33JWRicQl74o'),
+  ('popular', 'Popular', 60, 1999, 20, TRUE, 'price_1Rgk3HC5gE6T33JWYFZVxoxi'),
+  ('professional', 'Professional', 150, 3999, 50, FALSE, 'price_1Rgk4bC5gE6T33JW48SDYiOb'),
+  ('business', 'Business', 300, 6999, 71, FALSE, 'price_1Rgk65C5gE6T33JW65ZYnuu5')
+ON CONFLICT (slug) DO NOTHING;
+
+-- 22. Create subscription plans table (monthly credit allowances)
+CREATE TABLE public.subscription_plans (
+  id SERIAL PRIMARY KEY,
+  slug TEXT UNIQUE NOT NULL,
+  name TEXT NOT NULL,
+  monthly_credits INTEGER NOT NULL,
+  price_cents INTEGER NOT NULL,
+  rollover_cap INTEGER NOT NULL DEFAULT 0, -- Max unused allowance carried into the next period
+  stripe_price_id TEXT UNIQUE, -- Recurring (monthly) Stripe price
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE public.subscription_plans ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view active subscription plans" ON public.subscription_plans
+  FOR SELECT USING (active = TRUE);
+
+-- Set stripe_price_id to your recurring Stripe prices before enabling the plans
+INSERT INTO public.subscription_plans (slug, name, monthly_credits, price_cents, rollover_cap) VALUES
+  ('monthly-basic', 'Basic Monthly', 80, 1999, 40),
+  ('monthly-pro', 'Pro Monthly', 250, 4999, 125)
+ON CONFLICT (slug) DO NOTHING;
+
+-- 23. Create user subscriptions table (mirrors the Stripe subscription)
+CREATE TABLE public.user_subscriptions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) NOT NULL UNIQUE,
+  plan_id INTEGER REFERENCES public.subscription_plans(id),
+  stripe_customer_id TEXT,
+  stripe_subscription_id TEXT UNIQUE NOT NULL,
+  status TEXT NOT NULL, -- Stripe subscription status: active, past_due, canceled, ...
+  current_period_end TIMESTAMP WITH TIME ZONE,
+  cancel_at_period_end BOOLEAN DEFAULT FALSE,
+  period_allowance INTEGER NOT NULL DEFAULT 0, -- Allowance credits granted (incl. rollover) for the current period
+  period_granted_at TIMESTAMP WITH TIME ZONE, -- When that allowance was granted
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE public.user_subscriptions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own subscription" ON public.user_subscriptions
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- 24. Create function to grant a paid period's allowance exactly once
+-- Allowance credits are treated as spent before any others: usage since the
+-- last grant comes off the previous allowance, and the unused part above the
+-- plan's rollover cap expires before the new allowance is added.
+-- Returns the credits granted, or NULL when the event was already processed.
+CREATE OR REPLACE FUNCTION public.grant_subscription_allowance(
+  event_id TEXT,
+  event_type TEXT,
+  user_uuid UUID
+)
+RETURNS INTEGER AS $$
+DECLARE
+  subscription_row RECORD;
+  plan_row RECORD;
+  current_credits INTEGER;
+  used_credits INTEGER;
+  unused_allowance INTEGER;
+  expired_allowance INTEGER;
+BEGIN
+  INSERT INTO public.stripe_events (id, type, user_id)
+  VALUES (event_id, event_type, user_uuid)
+  ON CONFLICT (id) DO NOTHING;
+
+  IF NOT FOUND THEN
+    RETURN NULL; -- Event already processed
+  END IF;
+
+  SELECT * INTO subscription_row
+  FROM public.user_subscriptions
+  WHERE user_id = user_uuid
+  FOR UPDATE;
+
+  SELECT * INTO plan_row
+  FROM public.subscription_plans
+  WHERE id = subscription_row.plan_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No subscription plan for user %', user_uuid;
+  END IF;
+
+  SELECT credits INTO current_credits
+  FROM public.user_profiles
+  WHERE id = user_uuid;
+
+  SELECT COALESCE(-SUM(ct.amount), 0) INTO used_credits
+  FROM public.credit_transactions ct
+  WHERE ct.user_id = user_uuid
+    AND ct.transaction_type = 'usage'
+    AND ct.created_at >= COALESCE(subscription_row.period_granted_at, '-infinity');
+
+  unused_allowance := GREATEST(LEAST(subscription_row.period_allowance - used_credits, current_credits), 0);
+  expired_allowance := GREATEST(unused_allowance - plan_row.rollover_cap, 0);
+
+  IF expired_allowance > 0 THEN
+    PERFORM public.update_user_credits(user_uuid, -expired_allowance, 'subscription_expiry',
+      'Unused allowance above the ' || plan_row.name || ' rollover cap');
+  END IF;
+
+  PERFORM public.update_user_credits(user_uuid, plan_row.monthly_credits, 'subscription',
+    plan_row.name || ' monthly allowance');
+
+  UPDATE public.user_subscriptions
+  SET period_allowance = plan_row.monthly_credits + unused_allowance - expired_allowance,
+      period_granted_at = NOW(),
+      updated_at = NOW()
+  WHERE user_id = user_uuid;
+
+  RETURN plan_row.monthly_credits;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 25. Create promo codes tables
+CREATE TABLE public.promo_codes (
+  id SERIAL PRIMARY KEY,
+  code TEXT UNIQUE NOT NULL, -- Stored upper-case
+  kind TEXT NOT NULL CHECK (kind IN ('credits', 'purchase')), -- Redeemed for credits, or applied at checkout
+  credits INTEGER NOT NULL DEFAULT 0, -- 'credits' codes: credits granted on redemption
+  bonus_percentage INTEGER NOT NULL DEFAULT 0, -- 'purchase' codes: extra credits on the purchased amount
+  stripe_coupon_id TEXT, -- 'purchase' codes: optional Stripe coupon applied as a checkout discount
+  allowed_plans TEXT[], -- credit_packages slugs the code applies to (NULL = all)
+  max_redemptions INTEGER, -- Across all users (NULL = unlimited)
+  per_user_limit INTEGER NOT NULL DEFAULT 1,
+  redemption_count INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE public.promo_redemptions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  promo_code_id INTEGER REFERENCES public.promo_codes(id) NOT NULL,
+  user_id UUID REFERENCES auth.users(id) NOT NULL,
+  credits_awarded INTEGER NOT NULL,
+  stripe_session_id TEXT UNIQUE, -- Purchase the bonus was applied to
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_promo_redemptions_code_user ON public.promo_redemptions(promo_code_id, user_id);
+
+ALTER TABLE public.promo_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.promo_redemptions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own promo redemptions" ON public.promo_redemptions
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- 26. Create function to check a promo code for a user
+-- Raises SQLSTATE 'PC001' with a user-facing message when the code can't be used
+CREATE OR REPLACE FUNCTION public.validate_promo_code(
+  user_uuid UUID,
+  promo_code TEXT,
+  promo_kind TEXT,
+  plan_slug TEXT DEFAULT NULL
+)
+RETURNS public.promo_codes AS $$
+DECLARE
+  promo public.promo_codes;
+  user_redemptions INTEGER;
+BEGIN
+  SELECT * INTO promo
+  FROM public.promo_codes
+  WHERE code = UPPER(TRIM(promo_code))
+    AND active = TRUE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Invalid promo code' USING ERRCODE = 'PC001';
+  END IF;
+
+  IF promo.kind <> promo_kind THEN
+    RAISE EXCEPTION '%', CASE WHEN promo.kind = 'purchase'
+      THEN 'This code applies to credit purchases. Enter it at checkout.'
+      ELSE 'This code can''t be used at checkout. Redeem it from your dashboard.' END
+      USING ERRCODE = 'PC001';
+  END IF;
+
+  IF promo.expires_at IS NOT NULL AND promo.expires_at < NOW() THEN
+    RAISE EXCEPTION 'This promo code has expired' USING ERRCODE = 'PC001';
+  END IF;
+
+  IF promo.max_redemptions IS NOT NULL AND promo.redemption_count >= promo.max_redemptions THEN
+    RAISE EXCEPTION 'This promo code has been fully redeemed' USING ERRCODE = 'PC001';
+  END IF;
+
+  IF promo.allowed_plans IS NOT NULL AND (plan_slug IS NULL OR NOT plan_slug = ANY(promo.allowed_plans)) THEN
+    RAISE EXCEPTION 'This promo code doesn''t apply to the selected plan' USING ERRCODE = 'PC001';
+  END IF;
+
+  SELECT COUNT(*) INTO user_redemptions
+  FROM public.promo_redemptions
+  WHERE promo_code_id = promo.id
+    AND user_id = user_uuid;
+
+  IF user_redemptions >= promo.per_user_limit THEN
+    RAISE EXCEPTION 'You have already used this promo code' USING ERRCODE = 'PC001';
+  END IF;
+
+  RETURN promo;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 27. Create function to redeem a 'credits' promo code
+-- Returns the credits granted
+CREATE OR REPLACE FUNCTION public.redeem_promo_code(
+  user_uuid UUID,
+  promo_code TEXT
+)
+RETURNS INTEGER AS $$
+DECLARE
+  promo public.promo_codes;
+BEGIN
+  -- Serialize redemptions of the same code so limits hold under concurrency
+  PERFORM 1 FROM public.promo_codes
+  WHERE code = UPPER(TRIM(promo_code))
+  FOR UPDATE;
+
+  promo := public.validate_promo_code(user_uuid, promo_code, 'credits');
+
+  INSERT INTO public.promo_redemptions (promo_code_id, user_id, credits_awarded)
+  VALUES (promo.id, user_uuid, promo.credits);
+
+  UPDATE public.promo_codes
+  SET redemption_count = redemption_count + 1
+  WHERE id = promo.id;
+
+  PERFORM public.update_user_credits(user_uuid, promo.credits, 'promo', 'Promo code ' || promo.code);
+
+  RETURN promo.credits;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 28. Create function to add a 'purchase' promo code's bonus to a paid checkout
+-- The code was validated when the checkout session was created, but other
+-- sessions may have used it up since, so its limits are checked again under
+-- the code's lock. Returns the bonus credits granted (0 when already applied
+-- to this session or a limit has been reached).
+CREATE OR REPLACE FUNCTION public.apply_purchase_promo(
+  user_uuid UUID,
+  promo_code TEXT,
+  purchased_credits INTEGER,
+  checkout_session_id TEXT
+)
+RETURNS INTEGER AS $$
+DECLARE
+  promo public.promo_codes;
+  bonus_credits INTEGER;
+  user_redemptions INTEGER;
+BEGIN
+  SELECT * INTO promo
+  FROM public.promo_codes
+  WHERE code = UPPER(TRIM(promo_code))
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN 0;
+  END IF;
+
+  IF promo.max_redemptions IS NOT NULL AND promo.redemption_count >= promo.max_redemptions THEN
+    RETURN 0;
+  END IF;
+
+  SELECT COUNT(*) INTO user_redemptions
+  FROM public.promo_redemptions
+  WHERE promo_code_id = promo.id
+    AND user_id = user_uuid;
+
+  IF user_redemptions >= promo.per_user_limit THEN
+    RETURN 0;
+  END IF;
+
+  bonus_credits := FLOOR(purchased_credits * promo.bonus_percentage / 100.0);
+
+  INSERT INTO public.promo_redemptions (promo_code_id, user_id, credits_awarded, stripe_session_id)
+  VALUES (promo.id, user_uuid, bonus_credits, checkout_session_id)
+  ON CONFLICT (stripe_session_id) DO NOTHING;
+
+  IF NOT FOUND THEN
+    RETURN 0; -- Already applied to this purchase
+  END IF;
+
+  UPDATE public.promo_codes
+  SET redemption_count = redemption_count + 1
+  WHERE id = promo.id;
+
+  IF bonus_credits > 0 THEN
+    PERFORM public.update_user_credits(user_uuid, bonus_credits, 'promo',
+      'Promo code ' || promo.code || ' - ' || promo.bonus_percentage || '% bonus', checkout_session_id);
+  END IF;
+
+  RETURN bonus_credits;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 29. Referral program
+-- Every profile (existing ones included) gets a shareable referral code
+ALTER TABLE public.user_profiles
+  ADD COLUMN IF NOT EXISTS referral_code TEXT UNIQUE DEFAULT UPPER(SUBSTR(MD5(gen_random_uuid()::TEXT), 1, 8));
+
+CREATE TABLE public.referrals (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  referrer_id UUID REFERENCES auth.users(id) NOT NULL,
+  referee_id UUID REFERENCES auth.users(id) NOT NULL UNIQUE, -- A user can only be referred once
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'rewarded', 'rejected')),
+  reject_reason TEXT, -- Anti-abuse check that rejected the referral
+  signup_ip TEXT,
+  referee_email_domain TEXT,
+  rewarded_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_referrals_referrer ON public.referrals(referrer_id, created_at DESC);
+CREATE INDEX idx_referrals_signup_ip ON public.referrals(signup_ip, created_at DESC);
+
+ALTER TABLE public.referrals ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view referrals they made" ON public.referrals
+  FOR SELECT USING (auth.uid() = referrer_id);
+
+-- 30. Create function to pay out a pending referral once the referee has
+-- purchased or completed an edit. Returns FALSE when there is nothing to pay.
+CREATE OR REPLACE FUNCTION public.reward_referral(
+  referee_uuid UUID,
+  referrer_credits INTEGER,
+  referee_credits INTEGER
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  referral_row RECORD;
+BEGIN
+  UPDATE public.referrals
+  SET status = 'rewarded',
+      rewarded_at = NOW()
+  WHERE referee_id = referee_uuid
+    AND status = 'pending'
+  RETURNING * INTO referral_row;
+
+  IF NOT FOUND THEN
+    RETURN FALSE;
+  END IF;
+
+  IF referrer_credits > 0 THEN
+    PERFORM public.update_user_credits(referral_row.referrer_id, referrer_credits, 'referral', 'Referral bonus - a friend you invited got started');
+  END IF;
+
+  IF referee_credits > 0 THEN
+    PERFORM public.update_user_credits(referee_uuid, referee_credits, 'referral', 'Referral bonus - thanks for joining through a friend');
+  END IF;
+
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 31. Create credit expiry rules (how long credits from each source last)
+-- Sources without a rule, or with a NULL expires_after, never expire.
+CREATE TABLE public.credit_expiry_rules (
+  transaction_type TEXT PRIMARY KEY, -- Matches credit_transactions.transaction_type of the grant
+  expires_after INTERVAL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE public.credit_expiry_rules ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO public.credit_expiry_rules (transaction_type, expires_after) VALUES
+  ('bonus', INTERVAL '60 days'),
+  ('promo', INTERVAL '90 days'),
+  ('referral', INTERVAL '90 days'),
+  ('purchase', NULL),
+  ('subscription', NULL);
+
+-- 32. Create credit lots table (the credits behind user_profiles.credits, by grant)
+-- credits_remaining across a user's lots adds up to their balance; holds draw
+-- from lots too, and credit_hold_lots remembers which so a release can put
+-- the credits back where they came from.
+CREATE TABLE public.credit_lots (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) NOT NULL,
+  source TEXT NOT NULL, -- Transaction type of the grant ('purchase', 'bonus', 'promo', ..., 'legacy')
+  credits_granted INTEGER NOT NULL CHECK (credits_granted > 0),
+  credits_remaining INTEGER NOT NULL CHECK (credits_remaining >= 0),
+  stripe_session_id TEXT,
+  granted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE, -- NULL never expires
+  expired_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_credit_lots_user_open ON public.credit_lots(user_id, expires_at) WHERE credits_remaining > 0;
+CREATE INDEX idx_credit_lots_expiry ON public.credit_lots(expires_at) WHERE credits_remaining > 0;
+
+ALTER TABLE public.credit_lots ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own credit lots" ON public.credit_lots
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE TABLE public.credit_hold_lots (
+  hold_id UUID REFERENCES public.credit_holds(id) NOT NULL,
+  lot_id UUID REFERENCES public.credit_lots(id) NOT NULL,
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  PRIMARY KEY (hold_id, lot_id)
+);
+
+ALTER TABLE public.credit_hold_lots ENABLE ROW LEVEL SECURITY;
+
+-- Existing balances become one non-expiring lot per user
+INSERT INTO public.credit_lots (user_id, source, credits_granted, credits_remaining, granted_at)
+SELECT id, 'legacy', credits, credits, created_at
+FROM public.user_profiles
+WHERE credits > 0;
+
+-- 33. Create functions to add and draw down credit lots
+-- Call after the balance has changed. A lot only covers the part of the
+-- balance no other lot accounts for, so a balance pushed negative by a
+-- chargeback is paid off before new credits show up as a lot.
+CREATE OR REPLACE FUNCTION public.grant_credit_lot(
+  user_uuid UUID,
+  amount INTEGER,
+  source TEXT,
+  checkout_session_id TEXT DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+  current_credits INTEGER;
+  lot_credits INTEGER;
+  rule_interval INTERVAL;
+  lot_id UUID;
+BEGIN
+  SELECT credits INTO current_credits
+  FROM public.user_profiles
+  WHERE id = user_uuid;
+
+  SELECT LEAST(amount, current_credits - COALESCE(SUM(cl.credits_remaining), 0)) INTO lot_credits
+  FROM public.credit_lots cl
+  WHERE cl.user_id = user_uuid;
+
+  IF lot_credits <= 0 THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT expires_after INTO rule_interval
+  FROM public.credit_expiry_rules
+  WHERE transaction_type = source;
+
+  INSERT INTO public.credit_lots (user_id, source, credits_granted, credits_remaining, stripe_session_id, expires_at)
+  VALUES (user_uuid, source, lot_credits, lot_credits, checkout_session_id, NOW() + rule_interval)
+  RETURNING id INTO lot_id;
+
+  RETURN lot_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Takes credits from the soonest-expiring lots first (oldest first among
+-- equals, non-expiring last). Lots from preferred_session, then of
+-- preferred_source, go before everything else, so a refund takes back the
+-- credits it refunds. Returns the lots drawn from.
+CREATE OR REPLACE FUNCTION public.consume_credit_lots(
+  user_uuid UUID,
+  amount INTEGER,
+  preferred_source TEXT DEFAULT NULL,
+  preferred_session TEXT DEFAULT NULL
+)
+RETURNS TABLE (drawn_lot_id UUID, drawn_credits INTEGER) AS $$
+DECLARE
+  lot_row RECORD;
+  still_needed INTEGER := amount;
+BEGIN
+  FOR lot_row IN
+    SELECT cl.id, cl.credits_remaining
+    FROM public.credit_lots cl
+    WHERE cl.user_id = user_uuid
+      AND cl.credits_remaining > 0
+    ORDER BY (cl.stripe_session_id IS NOT DISTINCT FROM preferred_session AND preferred_session IS NOT NULL) DESC,
+      (cl.source = preferred_source) IS TRUE DESC,
+      cl.expires_at ASC NULLS LAST,
+      cl.granted_at ASC
+    FOR UPDATE
+  LOOP
+    EXIT WHEN still_needed <= 0;
+
+    drawn_lot_id := lot_row.id;
+    drawn_credits := LEAST(lot_row.credits_remaining, still_needed);
+
+    UPDATE public.credit_lots
+    SET credits_remaining = credits_remaining - drawn_credits
+    WHERE id = drawn_lot_id;
+
+    still_needed := still_needed - drawn_credits;
+    RETURN NEXT;
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 34. Route credit changes through lots
+-- Positive changes add a lot that expires per credit_expiry_rules; negative
+-- changes consume lots. Subscription rollover expiry draws allowance first.
+CREATE OR REPLACE FUNCTION public.update_user_credits(
+  user_uuid UUID,
+  credit_change INTEGER,
+  transaction_type TEXT,
+  description TEXT DEFAULT NULL,
+  stripe_session_id TEXT DEFAULT NULL
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  current_credits INTEGER;
+BEGIN
+  -- Get current credits
+  SELECT credits INTO current_credits
+  FROM public.user_profiles
+  WHERE id = user_uuid;
+
+  -- Check if user has enough credits for negative transactions
+  IF credit_change < 0 AND current_credits + credit_change < 0 THEN
+    RETURN FALSE; -- Insufficient credits
+  END IF;
+
+  -- Update user credits
+  UPDATE public.user_profiles
+  SET credits = credits + credit_change,
+      updated_at = NOW()
+  WHERE id = user_uuid;
+
+  IF credit_change > 0 THEN
+    PERFORM public.grant_credit_lot(user_uuid, credit_change, transaction_type, stripe_session_id);
+  ELSIF credit_change < 0 THEN
+    PERFORM * FROM public.consume_credit_lots(user_uuid, -credit_change,
+      CASE WHEN transaction_type = 'subscription_expiry' THEN 'subscription' END,
+      stripe_session_id);
+  END IF;
+
+  -- Record transaction
+  INSERT INTO public.credit_transactions (user_id, amount, transaction_type, description, stripe_session_id)
+  VALUES (user_uuid, credit_change, transaction_type, description, stripe_session_id);
+
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- The welcome bonus goes through update_user_credits so it gets an expiring lot
+CREATE OR REPLACE FUNCTION public.handle_new_user()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO public.user_profiles (id, email, full_name, credits)
+  VALUES (NEW.id, NEW.email, NEW.raw_user_meta_data->>'full_name', 0);
+
+  PERFORM public.update_user_credits(NEW.id, 10, 'bonus', 'Welcome bonus - 10 free credits');
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 35. Make credit holds draw from (and return to) lots
+-- Returns a released or expired hold's credits to the lots they came from.
+-- Holds placed before lots existed get a 'legacy' lot instead.
+CREATE OR REPLACE FUNCTION public.restore_credit_hold_lots(
+  hold_uuid UUID
+)
+RETURNS VOID AS $$
+DECLARE
+  hold_row RECORD;
+  restored INTEGER;
+BEGIN
+  SELECT * INTO hold_row
+  FROM public.credit_holds
+  WHERE id = hold_uuid;
+
+  UPDATE public.credit_lots cl
+  SET credits_remaining = cl.credits_remaining + chl.amount
+  FROM public.credit_hold_lots chl
+  WHERE chl.hold_id = hold_uuid
+    AND cl.id = chl.lot_id;
+
+  SELECT COALESCE(SUM(chl.amount), 0) INTO restored
+  FROM public.credit_hold_lots chl
+  WHERE chl.hold_id = hold_uuid;
+
+  IF hold_row.amount > restored THEN
+    PERFORM public.grant_credit_lot(hold_row.user_id, hold_row.amount - restored, 'legacy');
+  END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION public.expire_credit_holds(
+  user_uuid UUID DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+  expired_count INTEGER := 0;
+  hold_row RECORD;
+BEGIN
+  FOR hold_row IN
+    UPDATE public.credit_holds
+    SET status = 'expired',
+        resolved_at = NOW()
+    WHERE status = 'held'
+      AND expires_at < NOW()
+      AND (user_uuid IS NULL OR user_id = user_uuid)
+    RETURNING id, user_id, amount
+  LOOP
+    UPDATE public.user_profiles
+    SET credits = credits + hold_row.amount,
+        updated_at = NOW()
+    WHERE id = hold_row.user_id;
+
+    PERFORM public.restore_credit_hold_lots(hold_row.id);
+
+    expired_count := expired_count + 1;
+  END LOOP;
+
+  RETURN expired_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION public.reserve_user_credits(
+  user_uuid UUID,
+  amount INTEGER,
+  hold_description TEXT DEFAULT NULL,
+  hold_ttl INTERVAL DEFAULT INTERVAL '1 hour'
+)
+RETURNS UUID AS $$
+DECLARE
+  hold_id UUID;
+BEGIN
+  PERFORM public.expire_credit_holds(user_uuid);
+  PERFORM public.expire_credit_lots(user_uuid);
+
+  -- The balance check and the deduction happen in one statement, so
+  -- concurrent reservations can't both spend the same credits
+  UPDATE public.user_profiles
+  SET credits = credits - amount,
+      updated_at = NOW()
+  WHERE id = user_uuid
+    AND credits >= amount;
+
+  IF NOT FOUND THEN
+    RETURN NULL; -- Insufficient credits
+  END IF;
+
+  INSERT INTO public.credit_holds (user_id, amount, description, expires_at)
+  VALUES (user_uuid, amount, hold_description, NOW() + hold_ttl)
+  RETURNING id INTO hold_id;
+
+  INSERT INTO public.credit_hold_lots (hold_id, lot_id, amount)
+  SELECT hold_id, drawn.drawn_lot_id, drawn.drawn_credits
+  FROM public.consume_credit_lots(user_uuid, amount) drawn;
+
+  RETURN hold_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION public.release_credit_hold(
+  hold_uuid UUID
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  hold_row RECORD;
+BEGIN
+  UPDATE public.credit_holds
+  SET status = 'released',
+      resolved_at = NOW()
+  WHERE id = hold_uuid
+    AND status = 'held'
+  RETURNING * INTO hold_row;
+
+  IF NOT FOUND THEN
+    RETURN FALSE;
+  END IF;
+
+  UPDATE public.user_profiles
+  SET credits = credits + hold_row.amount,
+      updated_at = NOW()
+  WHERE id = hold_row.user_id;
+
+  PERFORM public.restore_credit_hold_lots(hold_uuid);
+
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 36. Make Stripe reversals take back (or restore) the session's own lot
+CREATE OR REPLACE FUNCTION public.reverse_stripe_credits(
+  event_id TEXT,
+  event_type TEXT,
+  user_uuid UUID,
+  checkout_session_id TEXT,
+  reversed_total INTEGER,
+  transaction_type TEXT,
+  description TEXT DEFAULT NULL,
+  new_account_status TEXT DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+  purchased INTEGER;
+  already_reversed INTEGER;
+  credit_change INTEGER;
+BEGIN
+  INSERT INTO public.stripe_events (id, type, user_id, stripe_session_id)
+  VALUES (event_id, event_type, user_uuid, checkout_session_id)
+  ON CONFLICT (id) DO NOTHING;
+
+  IF NOT FOUND THEN
+    RETURN NULL; -- Event already processed
+  END IF;
+
+  SELECT COALESCE(SUM(ct.amount), 0) INTO purchased
+  FROM public.credit_transactions ct
+  WHERE ct.stripe_session_id = checkout_session_id
+    AND ct.transaction_type = 'purchase';
+
+  SELECT COALESCE(-SUM(ct.amount), 0) INTO already_reversed
+  FROM public.credit_transactions ct
+  WHERE ct.stripe_session_id = checkout_session_id
+    AND ct.transaction_type IN ('refund', 'chargeback', 'chargeback_reversal', 'payment_failed');
+
+  credit_change := already_reversed - LEAST(GREATEST(reversed_total, 0), purchased);
+
+  IF credit_change <> 0 THEN
+    UPDATE public.user_profiles
+    SET credits = credits + credit_change,
+        total_credits_purchased = total_credits_purchased + credit_change,
+        updated_at = NOW()
+    WHERE id = user_uuid;
+
+    IF credit_change > 0 THEN
+      PERFORM public.grant_credit_lot(user_uuid, credit_change, 'purchase', checkout_session_id);
+    ELSE
+      PERFORM * FROM public.consume_credit_lots(user_uuid, -credit_change, NULL, checkout_session_id);
+    END IF;
+
+    INSERT INTO public.credit_transactions (user_id, amount, transaction_type, description, stripe_session_id)
+    VALUES (user_uuid, credit_change, transaction_type, description, checkout_session_id);
+  END IF;
+
+  IF new_account_status IS NOT NULL THEN
+    UPDATE public.user_profiles
+    SET account_status = new_account_status,
+        updated_at = NOW()
+    WHERE id = user_uuid;
+  END IF;
+
+  RETURN -credit_change;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 37. Create function to expire lots past their expiry date
+-- Writes one 'expiry' transaction per lot. Called on every reservation and
+-- daily by the /api/cron/expire-credits route; can also be scheduled with pg_cron:
+--   SELECT cron.schedule('expire-credit-lots', '0 * * * *', 'SELECT public.expire_credit_lots()');
+-- Returns the number of credits expired.
+CREATE OR REPLACE FUNCTION public.expire_credit_lots(
+  user_uuid UUID DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+  expired_credits INTEGER := 0;
+  lot_row RECORD;
+BEGIN
+  FOR lot_row IN
+    SELECT cl.id, cl.user_id, cl.source, cl.credits_remaining
+    FROM public.credit_lots cl
+    WHERE cl.credits_remaining > 0
+      AND cl.expires_at <= NOW()
+      AND (user_uuid IS NULL OR cl.user_id = user_uuid)
+    FOR UPDATE SKIP LOCKED
+  LOOP
+    UPDATE public.credit_lots
+    SET credits_remaining = 0,
+        expired_at = NOW()
+    WHERE id = lot_row.id;
+
+    UPDATE public.user_profiles
+    SET credits = credits - lot_row.credits_remaining,
+        updated_at = NOW()
+    WHERE id = lot_row.user_id;
+
+    INSERT INTO public.credit_transactions (user_id, amount, transaction_type, description)
+    VALUES (lot_row.user_id, -lot_row.credits_remaining, 'expiry',
+      lot_row.credits_remaining || ' ' || lot_row.source || ' credits expired');
+
+    expired_credits := expired_credits + lot_row.credits_remaining;
+  END LOOP;
+
+  RETURN expired_credits;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 38. Create model pricing table (credit cost per model, see lib/pricing.js)
+CREATE TABLE public.model_pricing (
+  model_id TEXT PRIMARY KEY, -- Replicate model, e.g. 'black-forest-labs/flux-kontext-pro'
+  base_credits INTEGER NOT NULL CHECK (base_credits > 0),
+  resolution_multipliers JSONB NOT NULL DEFAULT '{}', -- {"<max megapixels>": multiplier, ...}
+  format_multipliers JSONB NOT NULL DEFAULT '{}', -- {"<output format>": multiplier, ...}
+  extra_output_multiplier NUMERIC NOT NULL DEFAULT 1 CHECK (extra_output_multiplier >= 0), -- Cost of each output after the first, relative to the first
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE public.model_pricing ENABLE ROW LEVEL SECURITY;
+
+-- Prices are public so the frontend can show them
+CREATE POLICY "Anyone can view active model pricing" ON public.model_pricing
+  FOR SELECT USING (active = TRUE);
+
+-- Both models bill a flat rate per output on Replicate, so they start at the
+-- old 1 credit per image; add multipliers here as pricing changes
+INSERT INTO public.model_pricing (model_id, base_credits) VALUES
+  ('black-forest-labs/flux-kontext-pro', 1),
+  ('flux-kontext-apps/professional-headshot', 1);
+
+-- 39. Price the other image editing models in lib/models.js
+INSERT INTO public.model_pricing (model_id, base_credits) VALUES
+  ('black-forest-labs/flux-kontext-max', 2),
+  ('black-forest-labs/flux-kontext-dev', 1)
+ON CONFLICT (model_id) DO NOTHING;
+
+-- 40. Create headshot generations table (history of professional headshots)
+CREATE TABLE public.headshot_generations (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) NOT NULL,
+  image_url TEXT,
+  parameters JSONB, -- Store generation parameters (gender, background, aspectRatio, seed)
+  credits_used INTEGER DEFAULT 1,
+  status TEXT DEFAULT 'completed', -- completed, failed
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_headshot_generations_user_created ON public.headshot_generations(user_id, created_at DESC);
+
+ALTER TABLE public.headshot_generations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own headshot generations" ON public.headshot_generations
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Headshot jobs (kind = 'headshot') link to their history row here
+ALTER TABLE public.generation_jobs
+  ADD COLUMN IF NOT EXISTS headshot_generation_id UUID REFERENCES public.headshot_generations(id);
+
+-- 41. Create image masks table (inpainting masks, kept so they can be reused)
+CREATE TABLE public.image_masks (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) NOT NULL,
+  mask_data TEXT NOT NULL, -- PNG data URI; white marks the region to edit
+  width INTEGER NOT NULL,
+  height INTEGER NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_image_masks_user_created ON public.image_masks(user_id, created_at DESC);
+
+ALTER TABLE public.image_masks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own image masks" ON public.image_masks
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Inpainting jobs (kind = 'inpaint') and the edits they produce keep their mask
+ALTER TABLE public.generation_jobs
+  ADD COLUMN IF NOT EXISTS mask_id UUID REFERENCES public.image_masks(id);
+
+ALTER TABLE public.image_edits
+  ADD COLUMN IF NOT EXISTS mask_id UUID REFERENCES public.image_masks(id);
+
+INSERT INTO public.model_pricing (model_id, base_credits) VALUES
+  ('black-forest-labs/flux-fill-pro', 1)
+ON CONFLICT (model_id) DO NOTHING;
+
+-- 42. Edit chains: an edit can continue from an earlier edit's output.
+-- root_image_id is the first edit of the chain (an edit that starts a
+-- chain is its own root), so GET /api/images/:rootId/versions loads a
+-- whole version tree in one query.
+ALTER TABLE public.image_edits
+  ADD COLUMN IF NOT EXISTS parent_edit_id UUID REFERENCES public.image_edits(id),
+  ADD COLUMN IF NOT EXISTS root_image_id UUID;
+
+UPDATE public.image_edits SET root_image_id = id WHERE root_image_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_image_edits_root ON public.image_edits(root_image_id, created_at);
+
+-- Continuation jobs carry the edit they build on until they finish
+ALTER TABLE public.generation_jobs
+  ADD COLUMN IF NOT EXISTS parent_edit_id UUID REFERENCES public.image_edits(id);
+
+CREATE OR REPLACE FUNCTION public.set_image_edit_root()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.root_image_id := COALESCE(
+    (SELECT root_image_id FROM public.image_edits WHERE id = NEW.parent_edit_id),
+    NEW.id
+  );
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER set_image_edit_root
+  BEFORE INSERT ON public.image_edits
+  FOR EACH ROW EXECUTE FUNCTION public.set_image_edit_root();
+
+-- 43. Create generation batches (one prompt applied to many images)
+CREATE TABLE public.generation_batches (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) NOT NULL,
+  model TEXT NOT NULL, -- lib/models.js id
+  parameters JSONB, -- Shared by every item (prompt, outputFormat, ...)
+  item_count INTEGER NOT NULL CHECK (item_count > 0),
+  credits_reserved INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_generation_batches_user_created ON public.generation_batches(user_id, created_at DESC);
+
+ALTER TABLE public.generation_batches ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own generation batches" ON public.generation_batches
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Each item is a generation job; items wait as queued jobs without a
+-- prediction until a concurrency slot frees up
+ALTER TABLE public.generation_jobs
+  ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES public.generation_batches(id),
+  ADD COLUMN IF NOT EXISTS batch_index INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_batch ON public.generation_jobs(batch_id, batch_index);
+
+-- Provider input of jobs not yet submitted, without the image (read back from
+-- the job's source image when it starts); deleted once the prediction
+-- starts. Only the server reads it, so no policies.
+CREATE TABLE public.generation_job_inputs (
+  job_id UUID PRIMARY KEY REFERENCES public.generation_jobs(id) ON DELETE CASCADE,
+  input JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE public.generation_job_inputs ENABLE ROW LEVEL SECURITY;
+
+-- 44. Create function to reserve a batch's credits, one hold per item.
+-- Either every hold is taken or none is: returns the hold ids in item
+-- order, or NULL when the balance can't cover the whole batch.
+CREATE OR REPLACE FUNCTION public.reserve_batch_credits(
+  user_uuid UUID,
+  amounts INTEGER[],
+  hold_description TEXT DEFAULT NULL
+)
+RETURNS UUID[] AS $$
+DECLARE
+  hold_ids UUID[] := '{}';
+  hold_id UUID;
+  amount INTEGER;
+BEGIN
+  BEGIN
+    FOREACH amount IN ARRAY amounts LOOP
+      hold_id := public.reserve_user_credits(user_uuid, amount, hold_description);
+
+      IF hold_id IS NULL THEN
+        RAISE EXCEPTION 'insufficient credits';
+      END IF;
+
+      hold_ids := hold_ids || hold_id;
+    END LOOP;
+  EXCEPTION WHEN raise_exception THEN
+    -- Leaving the block undoes the holds already taken
+    RETURN NULL;
+  END;
+
+  RETURN hold_ids;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- 45. Variations: a request for several outputs runs one job per output.
+-- The first output's job stands for the request and the others point at
+-- it; each job's parameters hold the seed its output was generated with.
+ALTER TABLE public.generation_jobs
+  ADD COLUMN IF NOT EXISTS variation_of UUID REFERENCES public.generation_jobs(id);
+
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_variation_of ON public.generation_jobs(variation_of);
+
+-- 46. Price multipliers for other model inputs (aspect ratio, safety
+-- tolerance, ...): {"<Replicate input>": {"<value>": multiplier, ...}, ...}.
+-- None of the current models bill differently by these, so they start empty.
+ALTER TABLE public.model_pricing
+  ADD COLUMN IF NOT EXISTS parameter_multipliers JSONB NOT NULL DEFAULT '{}';
+
+-- 47. Create prompt templates table (reusable prompts with {placeholder}
+-- variables, see lib/prompt-templates.js). Templates without a user_id are
+-- global: everyone sees them, and only ADMIN_EMAILS can change them.
+CREATE TABLE public.prompt_templates (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE, -- NULL for global templates
+  name TEXT NOT NULL,
+  template TEXT NOT NULL, -- e.g. 'Replace background with {color} studio backdrop'
+  description TEXT,
+  usage_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_prompt_templates_user_usage ON public.prompt_templates(user_id, usage_count DESC);
+
+ALTER TABLE public.prompt_templates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own and global prompt templates" ON public.prompt_templates
+  FOR SELECT USING (user_id IS NULL OR auth.uid() = user_id);
+
+-- Counts a use atomically, so popular templates sort first
+CREATE OR REPLACE FUNCTION public.increment_prompt_template_usage(template_uuid UUID)
+RETURNS INTEGER AS $$
+  UPDATE public.prompt_templates
+  SET usage_count = usage_count + 1
+  WHERE id = template_uuid
+  RETURNING usage_count;
+$$ LANGUAGE sql SECURITY DEFINER;
+
+INSERT INTO public.prompt_templates (name, template, description) VALUES
+  ('Studio backdrop', 'Replace the background with a {color} studio backdrop', 'Clean product or portrait background'),
+  ('Change season', 'Change the season to {season}, keeping the composition the same', NULL),
+  ('Art style', 'Redraw the image in the style of {style}', 'e.g. watercolor, pixel art, 1950s comic');
+
+-- 48. Stored outputs: provider URLs expire within hours, so each output is
+-- copied to our own storage (see lib/storage) and its key kept here.
+-- image_url keeps the provider URL the output was copied from.
+ALTER TABLE public.image_edits
+  ADD COLUMN IF NOT EXISTS storage_path TEXT;
+
+ALTER TABLE public.headshot_generations
+  ADD COLUMN IF NOT EXISTS storage_path TEXT;
+
+ALTER TABLE public.generation_jobs
+  ADD COLUMN IF NOT EXISTS storage_path TEXT;
+
+-- 49. Create source images table (uploaded originals, kept in storage so
+-- history can show before and after and edits can restart from them). One
+-- row per user and content: uploading the same file again reuses it.
+CREATE TABLE public.source_images (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) NOT NULL,
+  content_hash TEXT NOT NULL, -- SHA-256 of the file as uploaded, hex
+  storage_path TEXT NOT NULL, -- Key in the storage backend (see lib/storage); the stored copy is oriented and stripped of metadata
+  content_type TEXT NOT NULL,
+  file_name TEXT,
+  width INTEGER,
+  height INTEGER,
+  size_bytes INTEGER NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_id, content_hash)
+);
+
+ALTER TABLE public.source_images ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own source images" ON public.source_images
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Edits and headshots (and the jobs that make them) point at their original;
+-- later versions in an edit chain share the chain's original
+ALTER TABLE public.image_edits
+  ADD COLUMN IF NOT EXISTS source_image_id UUID REFERENCES public.source_images(id);
+
+ALTER TABLE public.headshot_generations
+  ADD COLUMN IF NOT EXISTS source_image_id UUID REFERENCES public.source_images(id);
+
+ALTER TABLE public.generation_jobs
+  ADD COLUMN IF NOT EXISTS source_image_id UUID REFERENCES public.source_images(id);
+
+-- 50. Create function to claim a batch's waiting items (queued, no
+-- prediction yet) as running, leaving at most max_running in flight. The
+-- batch row is locked first, so dispatchers of the same batch (a poll and a
+-- webhook arriving together) take turns and can't both fill the free slots.
+-- Returns the claimed jobs in item order; the caller submits them.
+CREATE OR REPLACE FUNCTION public.claim_batch_jobs(
+  batch_uuid UUID,
+  max_running INTEGER
+)
+RETURNS SETOF public.generation_jobs AS $$
+DECLARE
+  in_flight INTEGER;
+BEGIN
+  PERFORM 1 FROM public.generation_batches WHERE id = batch_uuid FOR UPDATE;
+
+  SELECT COUNT(*) INTO in_flight
+  FROM public.generation_jobs
+  WHERE batch_id = batch_uuid
+    AND (status = 'running' OR (status = 'queued' AND prediction_id IS NOT NULL));
+
+  RETURN QUERY
+  UPDATE public.generation_jobs
+  SET status = 'running',
+      updated_at = NOW()
+  WHERE id IN (
+    SELECT gj.id
+    FROM public.generation_jobs gj
+    WHERE gj.batch_id = batch_uuid
+      AND gj.status = 'queued'
+      AND gj.prediction_id IS NULL
+    ORDER BY gj.batch_index
+    LIMIT GREATEST(max_running - in_flight, 0)
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -0,0 +1,56 @@
+// Reads width and height from the header of a PNG, JPEG, GIF or WebP buffer
+// without decoding the image. Returns null for anything it doesn't recognise.
+
+const pngSize = (buffer) => {
+  if (buffer.length < 24 || buffer.toString('ascii', 1, 4) !== 'PNG') return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+};
+
+const gifSize = (buffer) => {
+  if (buffer.length < 10 || buffer.toString('ascii', 0, 3) !== 'GIF') return null;
+  return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+};
+
+const webpSize = (buffer) => {
+  if (buffer.length < 30 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WEBP') return null;
+
+  switch (buffer.toString('ascii', 12, 16)) {
+    case 'VP8 ':
+      return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    case 'VP8L': {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    case 'VP8X':
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    default:
+      return null;
+  }
+};
+
+// Walk the JPEG segments up to the first start-of-frame marker
+const jpegSize = (buffer) => {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+
+    const marker = buffer[offset + 1];
+    const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isStartOfFrame) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+
+  return null;
+};
+
+export const imageSize = (buffer) => pngSize(buffer) || jpegSize(buffer) || gifSize(buffer) || webpSize(buffer);
+
+export const megapixels = (buffer) => {
+  const size = imageSize(buffer);
+  return size ? (size.width * size.height) / 1e6 : null;
+};
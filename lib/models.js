@@ -0,0 +1,249 @@
+// Registry of the Replicate models the app can run.
+//
+// Each model lists the Replicate inputs it accepts, keyed by their Replicate
+// name. Requests send them as camelCase form fields (output_format arrives as
+// outputFormat), and validateModelInputs turns the fields back into a
+// Replicate input, filling in defaults. The uploaded image is passed as
+// imageInput, and inpainting models also take a mask as maskInput (white
+// marks the region to change, black the region to keep). Uploads larger than
+// maxInputMegapixels are downsized before they are sent (see
+// lib/preprocess.js). Credit prices live in the model_pricing table, keyed by
+// replicateModel (see lib/pricing.js).
+//
+// Input types: 'string' (maxLength), 'enum' (values), 'integer' and
+// 'number' (min, max), 'boolean'. Inputs marked advanced are tucked away in
+// the edit form's Advanced panel; help is shown under the control.
+
+const PROMPT_INPUT = {
+  type: 'string',
+  label: 'Edit Prompt',
+  required: true,
+  maxLength: 2000
+};
+
+// Optional; left empty, each output gets a random seed (see server.js)
+const SEED_INPUT = {
+  type: 'integer',
+  label: 'Seed',
+  min: 0,
+  max: 2147483647,
+  advanced: true,
+  help: 'Reuse a seed to reproduce a result'
+};
+
+const ASPECT_RATIOS = ['1:1', '16:9', '9:16', '4:3', '3:4', '3:2', '2:3', '4:5', '5:4', '21:9', '9:21', '2:1', '1:2'];
+
+const KONTEXT_ASPECT_RATIO_INPUT = {
+  type: 'enum',
+  label: 'Aspect Ratio',
+  values: ['match_input_image', ...ASPECT_RATIOS],
+  default: 'match_input_image',
+  advanced: true
+};
+
+// Replicate caps safety tolerance at 2 when an input image is given, which
+// every model here takes
+const SAFETY_TOLERANCE_INPUT = {
+  type: 'integer',
+  label: 'Safety Tolerance',
+  min: 0,
+  max: 2,
+  default: 2,
+  advanced: true,
+  help: '0 is the strictest, 2 the most permissive allowed for image edits'
+};
+
+const PROMPT_UPSAMPLING_INPUT = {
+  type: 'boolean',
+  label: 'Prompt Upsampling',
+  default: false,
+  advanced: true,
+  help: 'Let the model expand the prompt before editing'
+};
+
+// Kontext works at about 1 megapixel; more only costs upload time
+const KONTEXT_MAX_INPUT_MEGAPIXELS = 2;
+
+export const MODELS = [
+  {
+    id: 'flux-kontext-pro',
+    kind: 'image_edit',
+    name: 'FLUX Kontext Pro',
+    description: 'Fast, high-quality edits that follow the prompt closely',
+    replicateModel: 'black-forest-labs/flux-kontext-pro',
+    version: null,
+    imageInput: 'input_image',
+    maxInputMegapixels: KONTEXT_MAX_INPUT_MEGAPIXELS,
+    inputs: {
+      prompt: PROMPT_INPUT,
+      output_format: { type: 'enum', label: 'Output Format', values: ['jpg', 'png'], default: 'jpg' },
+      aspect_ratio: KONTEXT_ASPECT_RATIO_INPUT,
+      safety_tolerance: SAFETY_TOLERANCE_INPUT,
+      prompt_upsampling: PROMPT_UPSAMPLING_INPUT,
+      seed: SEED_INPUT
+    }
+  },
+  {
+    id: 'flux-kontext-max',
+    kind: 'image_edit',
+    name: 'FLUX Kontext Max',
+    description: 'Best quality and typography, at a higher price',
+    replicateModel: 'black-forest-labs/flux-kontext-max',
+    version: null,
+    imageInput: 'input_image',
+    maxInputMegapixels: KONTEXT_MAX_INPUT_MEGAPIXELS,
+    inputs: {
+      prompt: PROMPT_INPUT,
+      output_format: { type: 'enum', label: 'Output Format', values: ['jpg', 'png'], default: 'jpg' },
+      aspect_ratio: KONTEXT_ASPECT_RATIO_INPUT,
+      safety_tolerance: SAFETY_TOLERANCE_INPUT,
+      prompt_upsampling: PROMPT_UPSAMPLING_INPUT,
+      seed: SEED_INPUT
+    }
+  },
+  {
+    id: 'flux-kontext-dev',
+    kind: 'image_edit',
+    name: 'FLUX Kontext Dev',
+    description: 'Open-weights model with tunable steps and guidance',
+    replicateModel: 'black-forest-labs/flux-kontext-dev',
+    version: null,
+    imageInput: 'input_image',
+    maxInputMegapixels: KONTEXT_MAX_INPUT_MEGAPIXELS,
+    inputs: {
+      prompt: PROMPT_INPUT,
+      output_format: { type: 'enum', label: 'Output Format', values: ['webp', 'jpg', 'png'], default: 'webp' },
+      output_quality: { type: 'integer', label: 'Output Quality', min: 0, max: 100, default: 80 },
+      aspect_ratio: KONTEXT_ASPECT_RATIO_INPUT,
+      num_inference_steps: { type: 'integer', label: 'Inference Steps', min: 4, max: 50, default: 30, advanced: true },
+      guidance: { type: 'number', label: 'Guidance', min: 0, max: 10, step: 0.1, default: 2.5, advanced: true },
+      seed: SEED_INPUT
+    }
+  },
+  {
+    id: 'flux-fill-pro',
+    kind: 'inpaint',
+    name: 'FLUX Fill Pro',
+    description: 'Repaints only the masked region, blending it into the rest of the image',
+    replicateModel: 'black-forest-labs/flux-fill-pro',
+    version: null,
+    imageInput: 'image',
+    maskInput: 'mask',
+    // Fill keeps the input's resolution, so it is allowed more
+    maxInputMegapixels: 4,
+    inputs: {
+      prompt: PROMPT_INPUT,
+      output_format: { type: 'enum', label: 'Output Format', values: ['jpg', 'png'], default: 'jpg' },
+      steps: { type: 'integer', label: 'Steps', min: 15, max: 50, default: 50, advanced: true },
+      guidance: { type: 'number', label: 'Guidance', min: 1.5, max: 100, step: 0.5, default: 60, advanced: true },
+      safety_tolerance: SAFETY_TOLERANCE_INPUT,
+      prompt_upsampling: PROMPT_UPSAMPLING_INPUT,
+      seed: SEED_INPUT
+    }
+  },
+  {
+    id: 'professional-headshot',
+    kind: 'headshot',
+    name: 'Professional Headshot',
+    description: 'Turns a portrait into a studio headshot',
+    replicateModel: 'flux-kontext-apps/professional-headshot',
+    version: null,
+    imageInput: 'input_image',
+    maxInputMegapixels: KONTEXT_MAX_INPUT_MEGAPIXELS,
+    inputs: {
+      gender: { type: 'enum', label: 'Gender', values: ['none', 'male', 'female'], default: 'none' },
+      background: { type: 'enum', label: 'Background', values: ['neutral', 'white', 'black', 'gray', 'office'], default: 'neutral' },
+      aspect_ratio: { type: 'enum', label: 'Aspect Ratio', values: ASPECT_RATIOS, default: '1:1' },
+      seed: SEED_INPUT
+    }
+  }
+];
+
+export const DEFAULT_IMAGE_EDIT_MODEL = 'flux-kontext-pro';
+export const DEFAULT_INPAINT_MODEL = 'flux-fill-pro';
+
+export const findModel = (id, kind) => MODELS.find(model => model.id === id && (!kind || model.kind === kind)) || null;
+
+const fieldName = (inputName) => inputName.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+
+// Model description for API clients, with inputs keyed by their form field
+export const formatModel = (model) => ({
+  id: model.id,
+  kind: model.kind,
+  name: model.name,
+  description: model.description,
+  replicateModel: model.replicateModel,
+  maxInputMegapixels: model.maxInputMegapixels,
+  inputs: Object.entries(model.inputs).map(([name, spec]) => ({ field: fieldName(name), ...spec }))
+});
+
+const coerce = (spec, raw) => {
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      const value = Number(raw);
+      if (raw === '' || !Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+        return { error: `must be ${spec.type === 'integer' ? 'a whole number' : 'a number'}` };
+      }
+      if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+        return { error: `must be between ${spec.min} and ${spec.max}` };
+      }
+      return { value };
+    }
+    case 'boolean':
+      if (typeof raw === 'boolean') return { value: raw };
+      if (['true', 'on', '1'].includes(raw)) return { value: true };
+      if (['false', 'off', '0', ''].includes(raw)) return { value: false };
+      return { error: 'must be true or false' };
+    case 'enum':
+      return spec.values.includes(raw) ? { value: raw } : { error: `must be one of ${spec.values.join(', ')}` };
+    default: {
+      const value = String(raw).trim();
+      if (spec.maxLength && value.length > spec.maxLength) {
+        return { error: `must be at most ${spec.maxLength} characters` };
+      }
+      return { value };
+    }
+  }
+};
+
+// Validate request fields against a model's inputs. Returns the Replicate
+// input (without the image), the same values keyed by form field for
+// storing with the job, and a list of problems. partial skips the required
+// check, for price quotes made before the form is filled in.
+export const validateModelInputs = (model, body, { partial = false } = {}) => {
+  const input = {};
+  const parameters = {};
+  const errors = [];
+
+  for (const [name, spec] of Object.entries(model.inputs)) {
+    const field = fieldName(name);
+    const raw = body[field];
+
+    const missing = raw === undefined || raw === null || (spec.type !== 'boolean' && String(raw).trim() === '');
+
+    if (missing) {
+      if (spec.required) {
+        if (!partial) errors.push(`${spec.label} is required`);
+      } else if (spec.default !== undefined) {
+        input[name] = spec.default;
+        parameters[field] = spec.default;
+      }
+      continue;
+    }
+
+    const { value, error } = coerce(spec, raw);
+    if (error) {
+      errors.push(`${spec.label} ${error}`);
+      continue;
+    }
+
+    input[name] = value;
+    parameters[field] = value;
+  }
+
+  return { input, parameters, errors };
+};
+
+// predictions.create target: a pinned version if the model has one, otherwise the latest
+export const predictionTarget = (model) => model.version ? { version: model.version } : { model: model.replicateModel };
@@ -0,0 +1,155 @@
+import sharp from 'sharp';
+import decodeHeic from 'heic-decode';
+import { sniffImageType } from './upload-validation.js';
+
+// Prepares an uploaded image for a model before it is sent anywhere:
+//
+//   - applies the EXIF orientation, so phone photos aren't edited sideways
+//   - takes the first frame of GIFs and other animations
+//   - downsizes to fit the model's maxInputMegapixels (see lib/models.js)
+//   - strips EXIF, XMP and IPTC metadata (camera details, GPS position)
+//
+// JPEG, PNG and WebP keep their format. HEIC and AVIF photos become JPEG
+// (PNG if they have transparency) and anything else PNG. An image that needs
+// none of this is passed through untouched rather than re-encoded.
+
+const KEPT_FORMATS = {
+  jpeg: { mimetype: 'image/jpeg', options: { quality: 92 } },
+  png: { mimetype: 'image/png', options: {} },
+  webp: { mimetype: 'image/webp', options: { quality: 92 } }
+};
+
+// Converted from these to JPEG rather than PNG, unless they have transparency
+const PHOTO_FORMATS = ['heic', 'avif'];
+
+const FORMAT_NAMES = { jpeg: 'JPEG', png: 'PNG', webp: 'WebP', gif: 'GIF', heic: 'HEIC', avif: 'AVIF' };
+
+const formatName = (format) => FORMAT_NAMES[format] || String(format).toUpperCase();
+
+// sharp reports HEIC and AVIF alike as heif
+const sourceFormat = ({ format, compression }) => (format === 'heif' ? (compression === 'av1' ? 'avif' : 'heic') : format);
+
+// sharp's prebuilt libvips decodes AVIF but not HEIC (HEIF compressed with
+// HEVC), so HEIC is decoded by libheif compiled to WebAssembly and handed to
+// sharp as raw pixels. Like libvips, libheif applies the image's rotation.
+const openImage = async (buffer, metadata) => {
+  if (sourceFormat(metadata) !== 'heic') {
+    return { pipeline: sharp(buffer), width: metadata.width, height: metadata.height };
+  }
+
+  const { width, height, data } = await decodeHeic({ buffer });
+  const pixels = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  return { pipeline: sharp(pixels, { raw: { width, height, channels: 4 } }), width, height };
+};
+
+// EXIF orientations 5-8 turn the image a quarter turn
+const orientedSize = ({ width, height, orientation }) => (orientation >= 5 ? { width: height, height: width } : { width, height });
+
+// Largest size with the same aspect ratio that fits within maxMegapixels
+const fitMegapixels = ({ width, height }, maxMegapixels) => {
+  if (!maxMegapixels || width * height <= maxMegapixels * 1e6) return { width, height };
+  const scale = Math.sqrt((maxMegapixels * 1e6) / (width * height));
+  return { width: Math.max(1, Math.floor(width * scale)), height: Math.max(1, Math.floor(height * scale)) };
+};
+
+// image is a multer file ({ buffer, mimetype, originalname }). Returns
+// { image, report } with the image to send and what was done to it:
+// { original, processed, changes }, original being the size the image
+// displays at (after orientation). Returns { error } if it can't be decoded.
+export const preprocessImage = async (image, { maxMegapixels = null } = {}) => {
+  let metadata;
+  try {
+    metadata = await sharp(image.buffer).metadata();
+  } catch {
+    // Builds of libvips without HEVC may not open HEIC even to read its header
+    if (!['image/heic', 'image/heif'].includes(sniffImageType(image.buffer))) {
+      return { error: 'The image could not be read' };
+    }
+    metadata = { format: 'heif', compression: 'hevc' };
+  }
+
+  let opened;
+  try {
+    opened = await openImage(image.buffer, metadata);
+  } catch {
+    return { error: 'The image could not be decoded' };
+  }
+
+  const format = sourceFormat(metadata);
+  const original = { ...orientedSize({ ...metadata, ...opened }), format, bytes: image.buffer.length };
+  const target = fitMegapixels(original, maxMegapixels);
+  const kept = KEPT_FORMATS[format];
+  const outputFormat = kept ? format : (PHOTO_FORMATS.includes(format) && !metadata.hasAlpha ? 'jpeg' : 'png');
+  const changes = [];
+
+  if (metadata.orientation > 1) {
+    changes.push('Rotated to match its EXIF orientation');
+  }
+
+  if (metadata.pages > 1) {
+    changes.push(`Used the first of its ${metadata.pages} frames`);
+  }
+
+  if (!kept) {
+    changes.push(`Converted from ${formatName(format)} to ${formatName(outputFormat)}`);
+  }
+
+  if (target.width !== original.width || target.height !== original.height) {
+    changes.push(`Resized from ${original.width}×${original.height} to ${target.width}×${target.height} (the model takes up to ${maxMegapixels} megapixels)`);
+  }
+
+  const strippedMetadata = ['exif', 'xmp', 'iptc'].filter(kind => metadata[kind]);
+  if (strippedMetadata.length > 0) {
+    changes.push(`Removed ${strippedMetadata.map(kind => kind.toUpperCase()).join(', ')} metadata`);
+  }
+
+  if (changes.length === 0) {
+    return {
+      image,
+      report: { original, processed: original, changes }
+    };
+  }
+
+  const output = KEPT_FORMATS[outputFormat];
+  let pipeline = opened.pipeline;
+
+  // Decoded HEIC always has an alpha channel, if only an opaque one
+  if (!metadata.hasAlpha) {
+    pipeline = pipeline.removeAlpha();
+  }
+
+  // sharp reads only the first frame unless told otherwise, and writes no
+  // metadata unless asked to. A body cut off after a good header only fails
+  // here, when the pixels are decoded.
+  let data;
+  let info;
+  try {
+    ({ data, info } = await pipeline
+      .rotate()
+      .resize(target.width, target.height, { fit: 'fill' })
+      .toFormat(outputFormat, output.options)
+      .toBuffer({ resolveWithObject: true }));
+  } catch {
+    return { error: 'The image could not be decoded' };
+  }
+
+  return {
+    image: { ...image, buffer: data, mimetype: output.mimetype, size: data.length },
+    report: {
+      original,
+      processed: { width: info.width, height: info.height, format: outputFormat, bytes: data.length },
+      changes
+    }
+  };
+};
+
+// Scale a mask drawn over the image as displayed to the processed image's
+// size. Returns a PNG data URI.
+export const scaleMask = async (dataUri, { width, height }) => {
+  const [, base64] = dataUri.split(',');
+  const buffer = await sharp(Buffer.from(base64, 'base64'))
+    .resize(width, height, { fit: 'fill' })
+    .png()
+    .toBuffer();
+  return `data:image/png;base64,${buffer.toString('base64')}`;
+};
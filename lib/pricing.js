@@ -0,0 +1,65 @@
+// Credit cost of a generation, from the model's model_pricing row.
+//
+// credits = ceil(base_credits × resolution multiplier × format multiplier
+//                × parameter multipliers
+//                × (1 + (outputs - 1) × extra_output_multiplier)), at least 1
+//
+// resolution_multipliers maps a megapixel ceiling to a multiplier, e.g.
+// {"1": 1, "4": 1.5}: images up to 1 MP cost ×1, up to 4 MP ×1.5, and larger
+// images use the highest tier. format_multipliers maps an output format to a
+// multiplier; formats not listed cost ×1. parameter_multipliers does the same
+// for any other model input, keyed by its Replicate name and then its value,
+// e.g. {"aspect_ratio": {"21:9": 1.25}, "prompt_upsampling": {"true": 1.1}}.
+
+export const fetchModelPricing = async (supabase, modelId) => {
+  const { data, error } = await supabase
+    .from('model_pricing')
+    .select('*')
+    .eq('model_id', modelId)
+    .eq('active', true)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const resolutionMultiplier = (tiers = {}, megapixels) => {
+  const sorted = Object.entries(tiers)
+    .map(([ceiling, multiplier]) => [Number(ceiling), Number(multiplier)])
+    .sort((a, b) => a[0] - b[0]);
+
+  if (sorted.length === 0) return 1;
+  // Unknown size (e.g. a quote before an image is chosen) prices at the lowest tier
+  if (megapixels == null) return sorted[0][1];
+
+  const tier = sorted.find(([ceiling]) => megapixels <= ceiling) || sorted[sorted.length - 1];
+  return tier[1];
+};
+
+const parameterMultiplier = (multipliers = {}, input) => Object.entries(multipliers)
+  .reduce((product, [name, byValue]) => product * Number(byValue?.[String(input[name])] ?? 1), 1);
+
+// input is the model's Replicate input (see validateModelInputs)
+export const quoteCredits = (pricing, { megapixels = null, outputFormat = null, numOutputs = 1, input = {} } = {}) => {
+  const resolution = resolutionMultiplier(pricing.resolution_multipliers, megapixels);
+  const format = Number(pricing.format_multipliers?.[outputFormat] ?? 1);
+  const parameters = parameterMultiplier(pricing.parameter_multipliers, input);
+  const outputs = 1 + (numOutputs - 1) * Number(pricing.extra_output_multiplier);
+
+  // The epsilon keeps float noise (e.g. 3.0000000000000004) from rounding up a whole credit
+  return {
+    credits: Math.max(1, Math.ceil(pricing.base_credits * resolution * format * parameters * outputs - 1e-9)),
+    baseCredits: pricing.base_credits,
+    resolutionMultiplier: resolution,
+    formatMultiplier: format,
+    parameterMultiplier: parameters,
+    numOutputs
+  };
+};
+
+// Share a price between a request's outputs as evenly as whole credits
+// allow; earlier outputs take the remainder
+export const splitCredits = (credits, outputs) => Array.from(
+  { length: outputs },
+  (_, index) => Math.floor(credits / outputs) + (index < credits % outputs ? 1 : 0)
+);
@@ -0,0 +1,87 @@
+// Prompt templates: prompts with {placeholder} variables, e.g.
+// 'Replace background with {color} studio backdrop'. Variable names start
+// with a letter and may contain letters, digits and underscores; any other
+// brace is rejected, so a typo can't reach the model as literal text.
+
+export const TEMPLATE_NAME_MAX_LENGTH = 100;
+export const TEMPLATE_DESCRIPTION_MAX_LENGTH = 300;
+// Same limit as the prompt itself (see lib/models.js)
+export const TEMPLATE_MAX_LENGTH = 2000;
+export const TEMPLATE_MAX_VARIABLES = 10;
+export const TEMPLATE_VALUE_MAX_LENGTH = 200;
+
+const PLACEHOLDER = /\{([a-zA-Z][a-zA-Z0-9_]*)\}/g;
+
+// Variable names in the order they first appear
+export const templateVariables = (template) => [...new Set([...template.matchAll(PLACEHOLDER)].map(match => match[1]))];
+
+// Validate a template's fields. partial (for updates) allows fields to be
+// left out. Returns the cleaned fields and a list of problems.
+export const validateTemplate = (body, { partial = false } = {}) => {
+  const fields = {};
+  const errors = [];
+
+  if (body.name !== undefined || !partial) {
+    const name = String(body.name ?? '').trim();
+    if (!name) {
+      errors.push('Name is required');
+    } else if (name.length > TEMPLATE_NAME_MAX_LENGTH) {
+      errors.push(`Name must be at most ${TEMPLATE_NAME_MAX_LENGTH} characters`);
+    }
+    fields.name = name;
+  }
+
+  if (body.description !== undefined) {
+    const description = String(body.description ?? '').trim();
+    if (description.length > TEMPLATE_DESCRIPTION_MAX_LENGTH) {
+      errors.push(`Description must be at most ${TEMPLATE_DESCRIPTION_MAX_LENGTH} characters`);
+    }
+    fields.description = description || null;
+  }
+
+  if (body.template !== undefined || !partial) {
+    const template = String(body.template ?? '').trim();
+    if (!template) {
+      errors.push('Template is required');
+    } else if (template.length > TEMPLATE_MAX_LENGTH) {
+      errors.push(`Template must be at most ${TEMPLATE_MAX_LENGTH} characters`);
+    } else if (/[{}]/.test(template.replace(PLACEHOLDER, ''))) {
+      errors.push('Template has a stray { or }; variables look like {name}');
+    } else if (templateVariables(template).length > TEMPLATE_MAX_VARIABLES) {
+      errors.push(`Template can have at most ${TEMPLATE_MAX_VARIABLES} variables`);
+    }
+    fields.template = template;
+  }
+
+  return { fields, errors };
+};
+
+// Fill a template's variables from values ({ name: value }). Every variable
+// needs a value; values that aren't variables are ignored. Only values' own
+// keys count, so {constructor} or {toString} can't pick up Object.prototype.
+export const fillTemplate = (template, values = {}) => {
+  const errors = [];
+  const valueOf = (name) => String((Object.hasOwn(values, name) ? values[name] : null) ?? '').trim();
+
+  for (const name of templateVariables(template)) {
+    const value = valueOf(name);
+    if (!value) {
+      errors.push(`A value for {${name}} is required`);
+    } else if (value.length > TEMPLATE_VALUE_MAX_LENGTH) {
+      errors.push(`The value for {${name}} must be at most ${TEMPLATE_VALUE_MAX_LENGTH} characters`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { prompt: null, errors };
+  }
+
+  // One pass, so a value containing {braces} is never substituted again
+  const prompt = template.replace(PLACEHOLDER, (_, name) => valueOf(name));
+
+  if (prompt.length > TEMPLATE_MAX_LENGTH) {
+    return { prompt: null, errors: [`The filled-in prompt must be at most ${TEMPLATE_MAX_LENGTH} characters`] };
+  }
+
+  return { prompt, errors };
+};
@@ -0,0 +1,53 @@
+import { createReplicateProvider } from './replicate.js';
+import { createLocalProvider } from './local.js';
+
+// Image generation providers. Each one exposes:
+//
+//   submit(model, input, { webhook, webhookEventsFilter }) -> prediction
+//   status(predictionId)                                   -> prediction
+//   cancel(predictionId)                                   -> prediction
+//   fetchOutput(outputUrl)                                 -> { buffer, contentType }
+//
+// where model is a lib/models.js entry and a prediction has Replicate's
+// shape: { id, status, output, error }, status being one of 'starting',
+// 'processing', 'succeeded', 'failed' or 'canceled'.
+//
+// IMAGE_PROVIDER selects the provider: 'replicate' (default) or 'local'.
+
+const PROVIDERS = {
+  replicate: createReplicateProvider,
+  local: createLocalProvider
+};
+
+// Read at call time, after dotenv has loaded .env
+export const imageProviderName = () => process.env.IMAGE_PROVIDER || 'replicate';
+
+export const createImageProvider = (name = imageProviderName()) => {
+  const create = PROVIDERS[name];
+  if (!create) {
+    throw new Error(`Unknown IMAGE_PROVIDER "${name}" (expected ${Object.keys(PROVIDERS).join(' or ')})`);
+  }
+  return create();
+};
+
+// Submit a prediction and wait for it to finish, for callers that respond
+// with the result. Resolves to the first output URL.
+export const runPrediction = async (provider, model, input, { pollInterval = 1000, timeout = 5 * 60 * 1000 } = {}) => {
+  const deadline = Date.now() + timeout;
+  let prediction = await provider.submit(model, input);
+
+  while (!['succeeded', 'failed', 'canceled'].includes(prediction.status)) {
+    if (Date.now() > deadline) {
+      await provider.cancel(prediction.id).catch(() => {});
+      throw new Error(`Prediction ${prediction.id} timed out`);
+    }
+    await new Promise(resolve => setTimeout(resolve, pollInterval));
+    prediction = await provider.status(prediction.id);
+  }
+
+  if (prediction.status !== 'succeeded') {
+    throw new Error(prediction.error || `Prediction ${prediction.status}`);
+  }
+
+  return Array.isArray(prediction.output) ? prediction.output[0] : prediction.output;
+};
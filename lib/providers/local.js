@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { imageSize } from '../image-size.js';
+
+// Offline stand-in for Replicate. The "edit" is an SVG that embeds the
+// uploaded image, flipped and tinted according to a hash of the model and
+// inputs, with the prompt written across the bottom, so the same request
+// always produces the same picture. For inpainting models only the masked
+// region is tinted. The output is SVG whatever format was asked for.
+//
+// Predictions are files in LOCAL_OUTPUT_DIR, so status survives restarts:
+// a prediction reports 'processing' for LOCAL_PROVIDER_DELAY_MS after it was
+// submitted, then 'succeeded'. A prompt containing "[fail]" makes it fail.
+// Webhooks are not sent; jobs complete through polling.
+
+const OUTPUT_ROUTE = '/local-outputs';
+const DEFAULT_SIZE = { width: 1024, height: 1024 };
+
+const escapeXml = (text) => text.replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const parseDataUri = (uri) => {
+  const match = /^data:([^;,]+)?;base64,(.*)$/s.exec(uri || '');
+  return match ? { mimetype: match[1] || 'application/octet-stream', buffer: Buffer.from(match[2], 'base64') } : null;
+};
+
+const renderEdit = (imageUri, image, digest, prompt, maskUri = null) => {
+  const { width, height } = imageSize(image.buffer) || DEFAULT_SIZE;
+  const flip = digest[0] % 2 === 1;
+  const hue = Math.round((digest[1] / 255) * 360);
+  const fontSize = Math.max(12, Math.round(width / 30));
+  const caption = escapeXml(prompt.length > 80 ? `${prompt.slice(0, 77)}...` : prompt);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <g${flip ? ` transform="translate(${width} 0) scale(-1 1)"` : ''}>
+    <image href="${imageUri}" width="${width}" height="${height}" preserveAspectRatio="none"/>
+  </g>${maskUri ? `
+  <mask id="region">
+    <image href="${maskUri}" width="${width}" height="${height}" preserveAspectRatio="none"/>
+  </mask>` : ''}
+  <rect width="${width}" height="${height}" fill="hsl(${hue}, 70%, 50%)" fill-opacity="0.35"${maskUri ? ' mask="url(#region)"' : ''}/>
+  <text x="${width / 2}" y="${height - fontSize}" font-family="sans-serif" font-size="${fontSize}" text-anchor="middle" fill="#fff" stroke="#000" stroke-width="${Math.max(1, fontSize / 12)}" paint-order="stroke">${caption}</text>
+</svg>
+`;
+};
+
+export const createLocalProvider = () => {
+  const outputDir = process.env.LOCAL_OUTPUT_DIR || path.join(os.tmpdir(), 'editimageai-outputs');
+  const delayMs = parseInt(process.env.LOCAL_PROVIDER_DELAY_MS || '1500', 10);
+  const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000';
+
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const file = (predictionId, extension) => path.join(outputDir, `${path.basename(predictionId)}.${extension}`);
+
+  const status = async (predictionId) => {
+    const submittedAt = parseInt(predictionId.split('-')[1], 10);
+    const prediction = { id: predictionId, status: 'processing', output: null, error: null };
+
+    if (!predictionId.startsWith('local-') || !Number.isFinite(submittedAt)) {
+      throw new Error(`Prediction ${predictionId} not found`);
+    }
+
+    if (fs.existsSync(file(predictionId, 'canceled'))) {
+      return { ...prediction, status: 'canceled' };
+    }
+
+    if (Date.now() < submittedAt + delayMs) {
+      return prediction;
+    }
+
+    if (fs.existsSync(file(predictionId, 'error'))) {
+      return { ...prediction, status: 'failed', error: fs.readFileSync(file(predictionId, 'error'), 'utf8') };
+    }
+
+    if (!fs.existsSync(file(predictionId, 'svg'))) {
+      throw new Error(`Prediction ${predictionId} not found`);
+    }
+
+    return { ...prediction, status: 'succeeded', output: `${baseUrl}${OUTPUT_ROUTE}/${predictionId}.svg` };
+  };
+
+  return {
+    name: 'local',
+    outputDir,
+    outputRoute: OUTPUT_ROUTE,
+
+    submit: async (model, input) => {
+      const imageUri = input[model.imageInput];
+      const image = parseDataUri(imageUri);
+      if (!image) {
+        throw new Error(`Input "${model.imageInput}" must be a base64 data URI`);
+      }
+
+      const maskUri = model.maskInput ? input[model.maskInput] : null;
+      const mask = maskUri && parseDataUri(maskUri);
+      if (model.maskInput && !mask) {
+        throw new Error(`Input "${model.maskInput}" must be a base64 data URI`);
+      }
+
+      const { [model.imageInput]: _image, ...settings } = input;
+      if (model.maskInput) delete settings[model.maskInput];
+
+      const hash = crypto
+        .createHash('sha256')
+        .update(model.id)
+        .update(JSON.stringify(settings))
+        .update(image.buffer);
+      if (mask) hash.update(mask.buffer);
+      const digest = hash.digest();
+
+      const predictionId = `local-${Date.now()}-${digest.toString('hex').slice(0, 12)}${crypto.randomBytes(2).toString('hex')}`;
+      const prompt = input.prompt || model.name;
+
+      if (prompt.includes('[fail]')) {
+        fs.writeFileSync(file(predictionId, 'error'), 'Local provider was asked to fail');
+      } else {
+        fs.writeFileSync(file(predictionId, 'svg'), renderEdit(imageUri, image, digest, prompt, maskUri));
+      }
+
+      return { id: predictionId, status: 'starting', output: null, error: null };
+    },
+
+    status,
+
+    cancel: async (predictionId) => {
+      fs.writeFileSync(file(predictionId, 'canceled'), '');
+      return status(predictionId);
+    },
+
+    fetchOutput: async (url) => ({
+      buffer: fs.readFileSync(path.join(outputDir, path.basename(new URL(url, baseUrl).pathname))),
+      contentType: 'image/svg+xml'
+    })
+  };
+};
@@ -0,0 +1,34 @@
+import Replicate from 'replicate';
+import { predictionTarget } from '../models.js';
+
+// Replicate's prediction objects are already the shape providers return
+export const createReplicateProvider = () => {
+  const replicate = new Replicate({
+    auth: process.env.REPLICATE_API_TOKEN,
+  });
+
+  return {
+    name: 'replicate',
+
+    submit: (model, input, { webhook, webhookEventsFilter } = {}) => replicate.predictions.create({
+      ...predictionTarget(model),
+      input,
+      ...(webhook ? { webhook, webhook_events_filter: webhookEventsFilter } : {})
+    }),
+
+    status: (predictionId) => replicate.predictions.get(predictionId),
+
+    cancel: (predictionId) => replicate.predictions.cancel(predictionId),
+
+    fetchOutput: async (url) => {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch output ${url}: ${response.status}`);
+      }
+      return {
+        buffer: Buffer.from(await response.arrayBuffer()),
+        contentType: response.headers.get('content-type')
+      };
+    }
+  };
+};
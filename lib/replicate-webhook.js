@@ -0,0 +1,40 @@
+import crypto from 'crypto';
+
+// Replicate signs webhooks the Standard Webhooks way: an HMAC-SHA256 over
+// "<webhook-id>.<webhook-timestamp>.<raw body>", keyed with the base64 part of
+// the "whsec_..." secret, sent as space-separated "v1,<signature>" entries.
+
+// Reject deliveries older than this to limit replay attacks
+const TIMESTAMP_TOLERANCE_SECONDS = 5 * 60;
+
+const secretKey = (secret) => Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+
+export const signReplicateWebhook = (secret, webhookId, timestamp, body) => {
+  return crypto
+    .createHmac('sha256', secretKey(secret))
+    .update(`${webhookId}.${timestamp}.${body}`)
+    .digest('base64');
+};
+
+export const verifyReplicateWebhook = (secret, headers, rawBody) => {
+  const webhookId = headers['webhook-id'];
+  const timestamp = headers['webhook-timestamp'];
+  const signatureHeader = headers['webhook-signature'];
+
+  if (!webhookId || !timestamp || !signatureHeader) {
+    return false;
+  }
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+  if (!Number.isFinite(age) || age > TIMESTAMP_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = Buffer.from(signReplicateWebhook(secret, webhookId, timestamp, rawBody));
+
+  return signatureHeader.split(' ').some(entry => {
+    const [, signature = ''] = entry.split(',');
+    const candidate = Buffer.from(signature);
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+  });
+};
@@ -0,0 +1,34 @@
+import { createSupabaseStorage } from './supabase.js';
+import { createS3Storage } from './s3.js';
+import { createLocalStorage } from './local.js';
+
+export { contentTypeFor, imageStorageKey } from './keys.js';
+
+// Where generated outputs are kept once they've been downloaded from the
+// provider, whose URLs expire. Each backend exposes:
+//
+//   save(key, buffer, contentType)          -> key
+//   read(key)                               -> { buffer, contentType }
+//   signedUrl(key, { expiresIn, filename }) -> time-limited download URL
+//
+// where key is a path such as '<user id>/<image id>.png', and expiresIn is in
+// seconds. With filename the URL downloads as an attachment of that name.
+//
+// STORAGE_BACKEND selects the backend: 'supabase' (default), 's3' or 'local'.
+
+const BACKENDS = {
+  supabase: createSupabaseStorage,
+  s3: createS3Storage,
+  local: createLocalStorage
+};
+
+// Read at call time, after dotenv has loaded .env
+export const storageBackendName = () => process.env.STORAGE_BACKEND || 'supabase';
+
+export const createStorage = (name = storageBackendName()) => {
+  const create = BACKENDS[name];
+  if (!create) {
+    throw new Error(`Unknown STORAGE_BACKEND "${name}" (expected ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return create();
+};
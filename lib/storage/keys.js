@@ -0,0 +1,27 @@
+import path from 'path';
+
+// Storage keys and the content types their extensions stand for
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.heic': 'image/heic',
+  '.heif': 'image/heif',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml'
+};
+
+export const contentTypeFor = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+// Key for an image's output, with the extension of its content type (or,
+// failing that, of the URL it came from)
+export const imageStorageKey = (userId, imageId, contentType, sourceUrl = '') => {
+  // Browsers sometimes label JPEG uploads image/jpg
+  const type = contentType?.split(';')[0].trim().replace(/^image\/jpg$/, 'image/jpeg');
+  const byType = Object.keys(CONTENT_TYPES).find(extension => CONTENT_TYPES[extension] === type);
+  const byUrl = sourceUrl && path.extname(new URL(sourceUrl, 'http://localhost').pathname).toLowerCase();
+  const extension = byType || (CONTENT_TYPES[byUrl] ? byUrl : '.png');
+  return `${userId}/${imageId}${extension}`;
+};
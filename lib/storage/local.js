@@ -0,0 +1,66 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { contentTypeFor } from './keys.js';
+
+// Files in LOCAL_STORAGE_DIR, for development. Signed URLs point at ROUTE,
+// which server.js serves after checking the signature and expiry, so they
+// behave like the other backends' URLs.
+
+const ROUTE = '/local-storage';
+
+export const createLocalStorage = () => {
+  const dir = process.env.LOCAL_STORAGE_DIR || path.join(os.tmpdir(), 'editimageai-storage');
+  const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000';
+  const secret = process.env.JWT_SECRET || 'fallback-jwt-secret-for-development';
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Keys are written by us, but never let one escape the directory
+  const file = (key) => {
+    const resolved = path.resolve(dir, key);
+    if (!resolved.startsWith(path.resolve(dir) + path.sep)) {
+      throw new Error(`Invalid storage key ${key}`);
+    }
+    return resolved;
+  };
+
+  const sign = (key, expires, filename) => crypto
+    .createHmac('sha256', secret)
+    .update(`${key}\n${expires}\n${filename}`)
+    .digest('hex');
+
+  return {
+    name: 'local',
+    dir,
+    route: ROUTE,
+    file,
+
+    save: async (key, buffer) => {
+      fs.mkdirSync(path.dirname(file(key)), { recursive: true });
+      fs.writeFileSync(file(key), buffer);
+      return key;
+    },
+
+    read: async (key) => ({
+      buffer: fs.readFileSync(file(key)),
+      contentType: contentTypeFor(key)
+    }),
+
+    signedUrl: async (key, { expiresIn, filename = '' } = {}) => {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const params = new URLSearchParams({ expires, signature: sign(key, expires, filename) });
+      if (filename) params.set('filename', filename);
+      return `${baseUrl}${ROUTE}/${key.split('/').map(encodeURIComponent).join('/')}?${params}`;
+    },
+
+    // Whether a request's query carries a valid, unexpired signature for key
+    verify: (key, { expires, signature, filename = '' }) => {
+      if (!signature || !(Number(expires) > Date.now() / 1000)) return false;
+      const expected = Buffer.from(sign(key, expires, filename));
+      const given = Buffer.from(String(signature));
+      return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+  };
+};
@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import { contentTypeFor } from './keys.js';
+
+// S3 or any S3-compatible service (R2, MinIO, ...), signed with AWS
+// Signature Version 4. Configured by S3_BUCKET, S3_REGION (default
+// us-east-1), S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY; set S3_ENDPOINT for
+// services other than AWS, which are then addressed path-style.
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding, as SigV4 expects (encodeURIComponent leaves !'()* alone)
+const encode = (text) => encodeURIComponent(text).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+export const createS3Storage = () => {
+  const bucket = process.env.S3_BUCKET;
+  const region = process.env.S3_REGION || 'us-east-1';
+  const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+  const endpoint = process.env.S3_ENDPOINT?.replace(/\/+$/, '');
+
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('STORAGE_BACKEND=s3 needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const objectUrl = (key) => {
+    const encodedKey = key.split('/').map(encode).join('/');
+    return new URL(endpoint
+      ? `${endpoint}/${encode(bucket)}/${encodedKey}`
+      : `https://${bucket}.s3.${region}.amazonaws.com/${encodedKey}`);
+  };
+
+  // Signs a request; returns the scope and signature for the caller to place
+  // in an Authorization header or in the query string
+  const sign = (method, url, { amzDate, headers, query, payloadHash }) => {
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const signedHeaders = Object.keys(headers).sort();
+    const canonicalQuery = Object.entries(query)
+      .map(([name, value]) => [encode(name), encode(value)])
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([name, value]) => `${name}=${value}`)
+      .join('&');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery,
+      signedHeaders.map(name => `${name}:${String(headers[name]).trim()}\n`).join(''),
+      signedHeaders.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, date), region));
+
+    return {
+      scope,
+      signedHeaders: signedHeaders.join(';'),
+      signature: crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex')
+    };
+  };
+
+  const amzDateNow = () => new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+  const request = async (method, key, { body, contentType } = {}) => {
+    const url = objectUrl(key);
+    const amzDate = amzDateNow();
+    const payloadHash = sha256(body || '');
+    const headers = { host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+    const { scope, signedHeaders, signature } = sign(method, url, { amzDate, headers, query: {}, payloadHash });
+
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+        ...(contentType ? { 'Content-Type': contentType } : {})
+      },
+      body
+    });
+
+    if (!response.ok) {
+      throw new Error(`S3 ${method} ${key} failed: ${response.status} ${await response.text()}`);
+    }
+    return response;
+  };
+
+  // A presigned GET, valid for expiresIn seconds
+  const presign = (key, { expiresIn, filename }) => {
+    const amzDate = amzDateNow();
+    const url = objectUrl(key);
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${accessKeyId}/${amzDate.slice(0, 8)}/${region}/s3/aws4_request`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(expiresIn),
+      'X-Amz-SignedHeaders': 'host',
+      ...(filename ? { 'response-content-disposition': `attachment; filename="${filename}"` } : {})
+    };
+    const { signature } = sign('GET', url, { amzDate, headers: { host: url.host }, query, payloadHash: 'UNSIGNED-PAYLOAD' });
+
+    url.search = Object.entries({ ...query, 'X-Amz-Signature': signature })
+      .map(([name, value]) => `${encode(name)}=${encode(value)}`)
+      .join('&');
+    return url.toString();
+  };
+
+  return {
+    name: 's3',
+
+    save: async (key, buffer, contentType) => {
+      await request('PUT', key, { body: buffer, contentType });
+      return key;
+    },
+
+    read: async (key) => {
+      const response = await request('GET', key);
+      return {
+        buffer: Buffer.from(await response.arrayBuffer()),
+        contentType: response.headers.get('content-type') || contentTypeFor(key)
+      };
+    },
+
+    signedUrl: async (key, options) => presign(key, options)
+  };
+};
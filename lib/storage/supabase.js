@@ -0,0 +1,35 @@
+import { createClient } from '@supabase/supabase-js';
+import { contentTypeFor } from './keys.js';
+
+// Supabase Storage. SUPABASE_STORAGE_BUCKET (default 'generated-images')
+// should be a private bucket: images are only handed out as signed URLs.
+export const createSupabaseStorage = () => {
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+  const bucket = process.env.SUPABASE_STORAGE_BUCKET || 'generated-images';
+  const objects = () => supabase.storage.from(bucket);
+
+  return {
+    name: 'supabase',
+
+    save: async (key, buffer, contentType) => {
+      const { error } = await objects().upload(key, buffer, { contentType, upsert: true });
+      if (error) throw error;
+      return key;
+    },
+
+    read: async (key) => {
+      const { data, error } = await objects().download(key);
+      if (error) throw error;
+      return {
+        buffer: Buffer.from(await data.arrayBuffer()),
+        contentType: data.type || contentTypeFor(key)
+      };
+    },
+
+    signedUrl: async (key, { expiresIn, filename } = {}) => {
+      const { data, error } = await objects().createSignedUrl(key, expiresIn, filename ? { download: filename } : {});
+      if (error) throw error;
+      return data.signedUrl;
+    }
+  };
+};
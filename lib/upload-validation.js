@@ -0,0 +1,173 @@
+import path from 'path';
+import sharp from 'sharp';
+import decodeHeic from 'heic-decode';
+
+// Checks an uploaded image by its content rather than the type the client
+// declared. The file's magic bytes must be a type we accept and agree with
+// the declared type, its header must parse, and it must be within
+// MAX_IMAGE_DIMENSION pixels a side and MAX_IMAGE_PIXELS in all, so a small
+// file can't decode to gigabytes of pixels (a decompression bomb). Only then
+// is it decoded in full, which catches bodies that are cut off or corrupt.
+//
+// A failure is { code, status, message }, code being one of:
+//
+//   unsupported_type  not an image type we accept
+//   type_mismatch     the content isn't the type the client declared
+//   malformed_image   the header can't be parsed or the pixels can't be decoded
+//   image_too_large   wider or taller than MAX_IMAGE_DIMENSION
+//   too_many_pixels   more than MAX_IMAGE_PIXELS pixels
+//   file_too_large    more than MAX_UPLOAD_BYTES (raised by the upload parsers)
+
+export const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+export const MAX_IMAGE_DIMENSION = parseInt(process.env.MAX_IMAGE_DIMENSION || '12000', 10);
+export const MAX_IMAGE_PIXELS = parseInt(process.env.MAX_IMAGE_PIXELS || '50000000', 10);
+
+// Browsers often send HEIC and AVIF files with no type or as
+// application/octet-stream, so those are recognised by their extension
+export const ACCEPTED_IMAGE_TYPES = [
+  'image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/gif', 'image/heic', 'image/heif', 'image/avif'
+];
+
+// What the models read as sent, for callers that don't convert uploads with
+// preprocessImage (lib/preprocess.js)
+export const MODEL_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+const TYPES_BY_EXTENSION = { '.heic': 'image/heic', '.heif': 'image/heif', '.avif': 'image/avif' };
+
+const TYPE_NAMES = {
+  'image/jpeg': 'JPEG',
+  'image/png': 'PNG',
+  'image/webp': 'WebP',
+  'image/gif': 'GIF',
+  'image/heic': 'HEIC',
+  'image/heif': 'HEIF',
+  'image/avif': 'AVIF'
+};
+
+// Declared types that name the same content as another
+const SAME_TYPES = { 'image/jpg': 'image/jpeg', 'image/heif': 'image/heic' };
+const canonicalType = (type) => SAME_TYPES[type] || type;
+
+const untyped = (mimetype) => !mimetype || mimetype === 'application/octet-stream';
+
+// The type an upload ({ mimetype, originalname }) is accepted as, going by
+// what the client says, or null. Used to turn files away before they are read.
+export const acceptedImageType = ({ mimetype, originalname }) => {
+  if (ACCEPTED_IMAGE_TYPES.includes(mimetype)) return mimetype;
+  if (!untyped(mimetype)) return null;
+  return TYPES_BY_EXTENSION[path.extname(originalname || '').toLowerCase()] || null;
+};
+
+export const uploadError = (code, message) => ({ code, status: code === 'file_too_large' ? 413 : 400, message });
+
+export const fileTooLarge = () => uploadError('file_too_large', `Images can be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB`);
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const AVIF_BRANDS = ['avif', 'avis'];
+const HEIC_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'hevm', 'hevs'];
+const HEIF_BRANDS = ['mif1', 'msf1'];
+
+// Major and compatible brands of an ISO media file's leading ftyp box
+const ftypBrands = (buffer) => {
+  if (buffer.length < 16 || buffer.toString('ascii', 4, 8) !== 'ftyp') return [];
+
+  const end = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [buffer.toString('ascii', 8, 12)];
+  for (let offset = 16; offset + 4 <= end; offset += 4) {
+    brands.push(buffer.toString('ascii', offset, offset + 4));
+  }
+  return brands;
+};
+
+// The image type a buffer's magic bytes identify, or null
+export const sniffImageType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return 'image/png';
+  if (['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) return 'image/gif';
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+
+  const brands = ftypBrands(buffer);
+  if (brands.some(brand => AVIF_BRANDS.includes(brand))) return 'image/avif';
+  if (brands.some(brand => HEIC_BRANDS.includes(brand))) return 'image/heic';
+  if (brands.some(brand => HEIF_BRANDS.includes(brand))) return 'image/heif';
+  return null;
+};
+
+// Width and height from the image's header, without decoding its pixels.
+// sharp's prebuilt libvips can't open HEIC, so libheif reads those.
+const headerSize = async (buffer, type) => {
+  if (canonicalType(type) === 'image/heic') {
+    const images = await decodeHeic.all({ buffer });
+    try {
+      return { width: images[0].width, height: images[0].height };
+    } finally {
+      images.dispose();
+    }
+  }
+
+  const { width, height } = await sharp(buffer).metadata();
+  return { width, height };
+};
+
+// Decode every pixel, failing on truncated or corrupt data. The size has
+// been checked by now; limitInputPixels guards it again.
+const decodeFully = async (buffer, type) => {
+  if (canonicalType(type) === 'image/heic') {
+    await decodeHeic({ buffer });
+    return;
+  }
+
+  await sharp(buffer, { failOn: 'truncated', limitInputPixels: MAX_IMAGE_PIXELS }).stats();
+};
+
+const malformedImage = (file, type) => uploadError('malformed_image', `${file.originalname} is damaged or not a complete ${TYPE_NAMES[type]} image`);
+
+// file is a multer file ({ buffer, mimetype, originalname }). Returns
+// { type, width, height }, type being the one its content shows, or
+// { error }. types narrows what is accepted (see MODEL_IMAGE_TYPES).
+export const validateImage = async (file, { types = ACCEPTED_IMAGE_TYPES } = {}) => {
+  const accepted = types.filter(type => TYPE_NAMES[type]).map(type => TYPE_NAMES[type]).join(', ');
+  const type = sniffImageType(file.buffer);
+
+  if (!type || !types.includes(type)) {
+    return { error: uploadError('unsupported_type', `${file.originalname} is not a supported image (${accepted})`) };
+  }
+
+  if (!untyped(file.mimetype) && canonicalType(file.mimetype) !== canonicalType(type)) {
+    return {
+      error: uploadError('type_mismatch', `${file.originalname} was sent as ${file.mimetype} but its content is ${TYPE_NAMES[type]}`)
+    };
+  }
+
+  let size;
+  try {
+    size = await headerSize(file.buffer, type);
+  } catch {
+    size = null;
+  }
+
+  if (!size?.width || !size?.height) {
+    return { error: malformedImage(file, type) };
+  }
+
+  if (size.width > MAX_IMAGE_DIMENSION || size.height > MAX_IMAGE_DIMENSION) {
+    return {
+      error: uploadError('image_too_large', `${file.originalname} is ${size.width}×${size.height}; images can be at most ${MAX_IMAGE_DIMENSION} pixels wide or tall`)
+    };
+  }
+
+  if (size.width * size.height > MAX_IMAGE_PIXELS) {
+    return {
+      error: uploadError('too_many_pixels', `${file.originalname} has ${((size.width * size.height) / 1e6).toFixed(1)} megapixels; images can have at most ${MAX_IMAGE_PIXELS / 1e6} megapixels`)
+    };
+  }
+
+  try {
+    await decodeFully(file.buffer, type);
+  } catch {
+    return { error: malformedImage(file, type) };
+  }
+
+  return { type, ...size };
+};
@@ -0,0 +1,116 @@
+// Copies outputs saved before storage existed from their provider URLs to
+// STORAGE_BACKEND, and records the key on the history row and its job.
+//
+// Usage:
+//   node scripts/backfill-image-storage.js [--dry-run] [--limit N]
+//
+// Replicate URLs expire within hours, so older images may be gone; they are
+// counted as expired and left as they are. Safe to run again: rows that
+// already have a storage_path are skipped.
+import dotenv from 'dotenv';
+import { createClient } from '@supabase/supabase-js';
+import { createImageProvider } from '../lib/providers/index.js';
+import { createStorage, imageStorageKey } from '../lib/storage/index.js';
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const limitIndex = args.indexOf('--limit');
+const limit = limitIndex === -1 ? Infinity : parseInt(args[limitIndex + 1], 10);
+
+if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY || !(limit > 0)) {
+  console.error('Usage: node scripts/backfill-image-storage.js [--dry-run] [--limit N]');
+  console.error('SUPABASE_URL and SUPABASE_SERVICE_KEY must be set.');
+  process.exit(1);
+}
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+const imageProvider = createImageProvider();
+const imageStorage = createStorage();
+
+// History table and the generation_jobs column that links to it
+const TABLES = [
+  { table: 'image_edits', jobColumn: 'image_edit_id' },
+  { table: 'headshot_generations', jobColumn: 'headshot_generation_id' }
+];
+const PAGE_SIZE = 100;
+
+const counts = { stored: 0, expired: 0, failed: 0 };
+let seen = 0;
+
+for (const { table, jobColumn } of TABLES) {
+  // Pages by id, so rows that stay unstored aren't fetched again
+  let after = null;
+
+  while (seen < limit) {
+    let query = supabase
+      .from(table)
+      .select('id, user_id, image_url')
+      .is('storage_path', null)
+      .not('image_url', 'is', null)
+      .eq('status', 'completed')
+      .order('id')
+      .limit(Math.min(PAGE_SIZE, limit - seen));
+
+    if (after) {
+      query = query.gt('id', after);
+    }
+
+    const { data: rows, error } = await query;
+
+    if (error) {
+      console.error(`Failed to list ${table}:`, error);
+      process.exit(1);
+    }
+
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      seen += 1;
+      after = row.id;
+
+      let output;
+      try {
+        output = await imageProvider.fetchOutput(row.image_url);
+      } catch (fetchError) {
+        counts.expired += 1;
+        console.log(`${table} ${row.id}: expired (${fetchError.message})`);
+        continue;
+      }
+
+      const key = imageStorageKey(row.user_id, row.id, output.contentType, row.image_url);
+
+      if (dryRun) {
+        counts.stored += 1;
+        console.log(`${table} ${row.id}: would store as ${key}`);
+        continue;
+      }
+
+      try {
+        await imageStorage.save(key, output.buffer, output.contentType);
+
+        const { error: updateError } = await supabase
+          .from(table)
+          .update({ storage_path: key })
+          .eq('id', row.id);
+        if (updateError) throw updateError;
+
+        const { error: jobError } = await supabase
+          .from('generation_jobs')
+          .update({ storage_path: key })
+          .eq(jobColumn, row.id);
+        if (jobError) throw jobError;
+
+        counts.stored += 1;
+        console.log(`${table} ${row.id}: stored as ${key}`);
+      } catch (storeError) {
+        counts.failed += 1;
+        console.error(`${table} ${row.id}: failed`, storeError);
+      }
+    }
+  }
+}
+
+console.log(`${dryRun ? 'Would store' : 'Stored'} ${counts.stored}, expired ${counts.expired}, failed ${counts.failed}`);
+process.exit(counts.failed > 0 ? 1 : 0);
@@ -0,0 +1,48 @@
+// Local stand-in for Replicate: posts a signed prediction webhook to the app.
+//
+// Usage:
+//   node scripts/fake-replicate-webhook.js <predictionId> [succeeded|failed|canceled|processing] [outputUrl]
+//
+// Signs with REPLICATE_WEBHOOK_SECRET from .env and posts to
+// REPLICATE_WEBHOOK_TARGET (defaults to the local dev server).
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { signReplicateWebhook } from '../lib/replicate-webhook.js';
+
+dotenv.config();
+
+const [predictionId, status = 'succeeded', outputUrl = 'https://replicate.delivery/fake/output.jpg'] = process.argv.slice(2);
+const secret = process.env.REPLICATE_WEBHOOK_SECRET;
+const target = process.env.REPLICATE_WEBHOOK_TARGET || 'http://localhost:3000/api/webhooks/replicate';
+
+if (!predictionId || !secret) {
+  console.error('Usage: node scripts/fake-replicate-webhook.js <predictionId> [status] [outputUrl]');
+  console.error('REPLICATE_WEBHOOK_SECRET must be set.');
+  process.exit(1);
+}
+
+const body = JSON.stringify({
+  id: predictionId,
+  status,
+  output: status === 'succeeded' ? outputUrl : null,
+  error: status === 'failed' ? 'Fake prediction failure' : null,
+  completed_at: new Date().toISOString()
+});
+
+const webhookId = `msg_${crypto.randomUUID()}`;
+const timestamp = Math.floor(Date.now() / 1000).toString();
+const signature = signReplicateWebhook(secret, webhookId, timestamp, body);
+
+const response = await fetch(target, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    'webhook-id': webhookId,
+    'webhook-timestamp': timestamp,
+    'webhook-signature': `v1,${signature}`
+  },
+  body
+});
+
+console.log(`POST ${target} -> ${response.status}`);
+console.log(await response.text());
@@ -1,9 +1,9 @@
 import express from 'express';
 import multer from 'multer';
-import Replicate from 'replicate';
 import dotenv from 'dotenv';
 import cors from 'cors';
 import fs from 'fs';
+import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { createClient } from '@supabase/supabase-js';
@@ -11,18 +11,32 @@ import session from 'express-session';
 import cookieParser from 'cookie-parser';
 import jwt from 'jsonwebtoken';
 import Stripe from 'stripe';
+import { verifyReplicateWebhook } from './lib/replicate-webhook.js';
+import { fetchModelPricing, quoteCredits, splitCredits } from './lib/pricing.js';
+import { imageSize, megapixels } from './lib/image-size.js';
+import { preprocessImage, scaleMask } from './lib/preprocess.js';
+import { MAX_UPLOAD_BYTES, acceptedImageType, fileTooLarge, uploadError, validateImage } from './lib/upload-validation.js';
+import { MODELS, DEFAULT_IMAGE_EDIT_MODEL, DEFAULT_INPAINT_MODEL, findModel, formatModel, validateModelInputs } from './lib/models.js';
+import { createImageProvider, imageProviderName } from './lib/providers/index.js';
+import { createStorage, imageStorageKey } from './lib/storage/index.js';
+import { createZip } from './lib/zip.js';
+import { fillTemplate, templateVariables, validateTemplate } from './lib/prompt-templates.js';
 
 dotenv.config();
 
 // Validate required environment variables
 const requiredEnvVars = [
-  'REPLICATE_API_TOKEN',
   'SUPABASE_URL',
   'SUPABASE_SERVICE_KEY',
   'SUPABASE_ANON_KEY',
   'JWT_SECRET'
 ];
 
+// The local image provider runs without Replicate
+if (imageProviderName() === 'replicate') {
+  requiredEnvVars.push('REPLICATE_API_TOKEN');
+}
+
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingVars.length > 0) {
@@ -37,10 +51,11 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const port = process.env.PORT || 3000;
 
-// Initialize Replicate
-const replicate = new Replicate({
-  auth: process.env.REPLICATE_API_TOKEN,
-});
+// Initialize the image provider (Replicate, or the offline local provider)
+const imageProvider = createImageProvider();
+
+// Initialize output storage (Supabase Storage, S3 or local disk)
+const imageStorage = createStorage();
 
 // Initialize Supabase
 const supabase = createClient(
@@ -51,13 +66,6 @@ const supabase = createClient(
 // Initialize Stripe
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
-const PLANS = {
-  starter: { priceId: 'price_1Rgk1nC5gE6T33JWRicQl74o', credits: 25 },
-  popular: { priceId: 'price_1Rgk3HC5gE6T33JWYFZVxoxi', credits: 60 },
-  professional: { priceId: 'price_1Rgk4bC5gE6T33JW48SDYiOb', credits: 150 },
-  business: { priceId: 'price_1Rgk65C5gE6T33JW65ZYnuu5', credits: 300 },
-};
-
 // Add anon key client for Auth
 const supabaseAnon = createClient(
   process.env.SUPABASE_URL,
@@ -71,7 +79,12 @@ app.use(cors({
     : true,
   credentials: true
 }));
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw bytes around for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(cookieParser());
 app.use(session({
   secret: process.env.SESSION_SECRET || 'fallback-secret-for-development',
@@ -84,23 +97,97 @@ app.use(session({
 }));
 app.use(express.static('public'));
 
+// The local provider writes its outputs to disk instead of a CDN
+if (imageProvider.name === 'local') {
+  app.use(imageProvider.outputRoute, express.static(imageProvider.outputDir));
+}
+
+// Local storage's signed URLs are checked and served here
+if (imageStorage.name === 'local') {
+  app.get(`${imageStorage.route}/*`, (req, res) => {
+    const key = req.params[0];
+
+    if (!imageStorage.verify(key, req.query)) {
+    return res.status(403).json({ error: 'Invalid or expired link' });
+    }
+
+    if (req.query.filename) {
+    res.attachment(String(req.query.filename));
+    }
+    res.sendFile(imageStorage.file(key));
+  });
+}
+
 // Configure multer for file uploads
 console.log("Multer storage config:", multer.memoryStorage ? "memoryStorage" : "diskStorage");
 const upload = multer({ 
   storage: multer.memoryStorage(),
+  // Turns away what the client says isn't an image; validateUploadedImages
+  // then checks what the files really are
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/gif'];
-    if (allowedTypes.includes(file.mimetype)) {
+    if (acceptedImageType(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only JPEG, PNG, WebP, and GIF are allowed.'));
+      const error = new Error(`${file.originalname} is not a supported image (JPEG, PNG, WebP, GIF, HEIC/HEIF or AVIF)`);
+      error.code = 'unsupported_type';
+      cb(error);
     }
   },
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
+    fileSize: MAX_UPLOAD_BYTES
   }
 });
 
+const sendUploadError = (res, { code, status, message }, fileName) => res.status(status).json({
+  error: 'Invalid image',
+  code,
+  message,
+  ...(fileName ? { fileName } : {})
+});
+
+// A multer error: files too large or of the wrong type get their upload
+// error code, anything else (a malformed form) is reported as it is
+const sendUploadFailure = (res, err) => {
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return sendUploadError(res, fileTooLarge());
+  }
+  if (err.code === 'unsupported_type') {
+    return sendUploadError(res, uploadError('unsupported_type', err.message));
+  }
+  return res.status(400).json({ error: 'Invalid upload', message: err.message });
+};
+
+// Checks every uploaded file by its content (see lib/upload-validation.js),
+// and replaces its declared type with the one its content shows
+const validateUploadedImages = async (req, res, next) => {
+  const files = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+
+  for (const file of files) {
+    const { type, error } = await validateImage(file);
+    if (error) {
+      return sendUploadError(res, error, file.originalname);
+    }
+    file.mimetype = type;
+  }
+
+  next();
+};
+
+// Generation routes take the image plus, for inpainting, its mask
+const generationFields = upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'mask', maxCount: 1 }
+]);
+
+const generationUpload = (req, res, next) => {
+  generationFields(req, res, (err) => {
+    if (err) {
+      return sendUploadFailure(res, err);
+    }
+    validateUploadedImages(req, res, next);
+  });
+};
+
 // Authentication middleware
 const authenticateUser = async (req, res, next) => {
   try {
@@ -131,6 +218,99 @@ const authenticateUser = async (req, res, next) => {
   }
 };
 
+// For routes that spend credits, after authenticateUser. An open payment
+// dispute locks the account; checked before any upload is read or decoded.
+const rejectLockedAccount = (req, res, next) => {
+  if (req.user.account_status === 'locked') {
+    return res.status(403).json({
+      error: 'Account locked',
+      message: 'Your account is locked while a payment dispute is open. Please contact support.'
+    });
+  }
+  next();
+};
+
+// Referral program
+const REFERRAL_REFERRER_CREDITS = parseInt(process.env.REFERRAL_REFERRER_CREDITS || '10', 10);
+const REFERRAL_REFEREE_CREDITS = parseInt(process.env.REFERRAL_REFEREE_CREDITS || '5', 10);
+// Referral signups accepted from one IP address per 30 days
+const REFERRAL_MAX_PER_IP = parseInt(process.env.REFERRAL_MAX_PER_IP || '2', 10);
+// Shared mail providers, where a matching domain says nothing about who owns the account
+const PUBLIC_EMAIL_DOMAINS = ['gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com', 'yahoo.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com'];
+
+const clientIp = (req) => req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket.remoteAddress;
+
+const emailDomain = (email) => email.split('@')[1]?.toLowerCase() || '';
+
+// Strip +tags (and the dots Gmail ignores) so aliases of one mailbox compare equal
+const normalizeEmail = (email) => {
+  const [local, domain] = email.toLowerCase().split('@');
+  const base = local.split('+')[0];
+  return `${['gmail.com', 'googlemail.com'].includes(domain) ? base.replace(/\./g, '') : base}@${domain}`;
+};
+
+// Why a referral looks like self-referral, or null if it passes
+const referralRejectReason = async (referrer, refereeEmail, ip) => {
+  if (normalizeEmail(referrer.email) === normalizeEmail(refereeEmail)) {
+    return 'same_mailbox';
+  }
+
+  const domain = emailDomain(refereeEmail);
+  if (domain === emailDomain(referrer.email) && !PUBLIC_EMAIL_DOMAINS.includes(domain)) {
+    return 'same_email_domain';
+  }
+
+  const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+  const { count } = await supabase
+    .from('referrals')
+    .select('id', { count: 'exact', head: true })
+    .eq('signup_ip', ip)
+    .gte('created_at', since);
+
+  if (count >= REFERRAL_MAX_PER_IP) {
+    return 'ip_limit';
+  }
+
+  return null;
+};
+
+// Link a new user to their referrer; rejected referrals are kept for review
+const recordReferral = async (referrer, referee, ip) => {
+  const rejectReason = await referralRejectReason(referrer, referee.email, ip);
+
+  const { error } = await supabase
+    .from('referrals')
+    .insert({
+      referrer_id: referrer.id,
+      referee_id: referee.id,
+      status: rejectReason ? 'rejected' : 'pending',
+      reject_reason: rejectReason,
+      signup_ip: ip,
+      referee_email_domain: emailDomain(referee.email)
+    });
+
+  if (error) {
+    console.error('Referral insert error:', error);
+  } else if (rejectReason) {
+    console.warn(`Referral of ${referee.id} by ${referrer.id} rejected: ${rejectReason}`);
+  }
+};
+
+// Pay out a pending referral after the referee's first purchase or edit
+const rewardReferral = async (refereeId) => {
+  const { data: rewarded, error } = await supabase.rpc('reward_referral', {
+    referee_uuid: refereeId,
+    referrer_credits: REFERRAL_REFERRER_CREDITS,
+    referee_credits: REFERRAL_REFEREE_CREDITS
+  });
+
+  if (error) {
+    console.error('Referral reward error:', error);
+  } else if (rewarded) {
+    console.log('Referral rewarded for user:', refereeId);
+  }
+};
+
 // Routes
 
 // Serve main page
@@ -143,12 +323,30 @@ app.post('/api/auth/signup', async (req, res) => {
   try {
     console.log('Signup attempt:', { email: req.body.email, hasPassword: !!req.body.password });
     
-    const { email, password, fullName } = req.body;
+    const { email, password, fullName, referralCode } = req.body;
 
     if (!email || !password) {
       return res.status(400).json({ error: 'Email and password are required' });
     }
 
+    if (referralCode && typeof referralCode !== 'string') {
+      return res.status(400).json({ error: 'Invalid referral code' });
+    }
+
+    let referrer = null;
+    if (referralCode && referralCode.trim()) {
+      const { data } = await supabase
+        .from('user_profiles')
+        .select('id, email')
+        .eq('referral_code', referralCode.trim().toUpperCase())
+        .maybeSingle();
+
+      if (!data) {
+        return res.status(400).json({ error: 'Invalid referral code' });
+      }
+      referrer = data;
+    }
+
     // Create user in Supabase Auth (regular signup, not admin, use anon client)
     console.log('Attempting Supabase signup...');
     const { data: authData, error: authError } = await supabaseAnon.auth.signUp({
@@ -202,13 +400,23 @@ app.post('/api/auth/signup', async (req, res) => {
           id: authData.user.id,
           email: authData.user.email,
           full_name: fullName || '',
-          credits: 10,
+          credits: 0,
           total_credits_purchased: 0
         });
       if (insertError) {
         console.error('Manual profile insert error:', insertError);
         return res.status(500).json({ error: 'Failed to create user profile. Please try again.' });
       }
+      // Welcome bonus goes through the ledger so it gets an expiring credit lot
+      const { error: bonusError } = await supabase.rpc('update_user_credits', {
+        user_uuid: authData.user.id,
+        credit_change: 10,
+        transaction_type: 'bonus',
+        description: 'Welcome bonus - 10 free credits'
+      });
+      if (bonusError) {
+        console.error('Welcome bonus error:', bonusError);
+      }
       // Fetch the newly inserted profile
       const { data: newProfile, error: fetchError } = await supabase
         .from('user_profiles')
@@ -222,6 +430,10 @@ app.post('/api/auth/signup', async (req, res) => {
       }
     }
 
+    if (referrer) {
+      await recordReferral(referrer, profile, clientIp(req));
+    }
+
     // Create JWT token
     const token = jwt.sign(
       { userId: authData.user.id, email: authData.user.email },
@@ -327,8 +539,34 @@ app.post('/api/auth/logout', (req, res) => {
 });
 
 // User profile routes
+// Split a user's open credit lots into what never expires and what expires when
+const creditExpiryBreakdown = (lots) => ({
+  neverExpires: lots
+    .filter(lot => !lot.expires_at)
+    .reduce((sum, lot) => sum + lot.credits_remaining, 0),
+  expiring: lots
+    .filter(lot => lot.expires_at)
+    .map(lot => ({
+      credits: lot.credits_remaining,
+      source: lot.source,
+      expiresAt: lot.expires_at
+    }))
+});
+
 app.get('/api/auth/profile', authenticateUser, async (req, res) => {
   try {
+    // Return this user's stale holds and sweep their overdue lots so the
+    // balance shown is current
+    const { error: holdsError } = await supabase.rpc('expire_credit_holds', { user_uuid: req.user.id });
+    if (holdsError) {
+    console.error('Credit hold expiry error:', holdsError);
+    }
+
+    const { error: expireError } = await supabase.rpc('expire_credit_lots', { user_uuid: req.user.id });
+    if (expireError) {
+    console.error('Credit expiry error:', expireError);
+    }
+
     const { data: profile, error } = await supabase
     .from('user_profiles')
     .select('*')
@@ -339,6 +577,17 @@ app.get('/api/auth/profile', authenticateUser, async (req, res) => {
     return res.status(500).json({ error: 'Failed to fetch profile' });
     }
 
+    const { data: lots, error: lotsError } = await supabase
+    .from('credit_lots')
+    .select('source, credits_remaining, expires_at')
+    .eq('user_id', req.user.id)
+    .gt('credits_remaining', 0)
+    .order('expires_at', { ascending: true, nullsFirst: false });
+
+    if (lotsError) {
+    return res.status(500).json({ error: 'Failed to fetch profile' });
+    }
+
     res.json({
     success: true,
     user: {
@@ -347,6 +596,8 @@ app.get('/api/auth/profile', authenticateUser, async (req, res) => {
     fullName: profile.full_name,
     credits: profile.credits,
     totalCreditsPurchased: profile.total_credits_purchased,
+    accountStatus: profile.account_status,
+    creditExpiry: creditExpiryBreakdown(lots),
     createdAt: profile.created_at
     }
     });
@@ -359,12 +610,20 @@ app.get('/api/auth/profile', authenticateUser, async (req, res) => {
 // Credit management routes - Direct purchase (no Stripe)
 app.post('/api/auth/purchase', authenticateUser, async (req, res) => {
   try {
-    const { amount, plan } = req.body;
+    const { plan, quantity = 1 } = req.body;
 
-    if (!amount || amount <= 0) {
+    if (!Number.isInteger(quantity) || quantity < 1) {
     return res.status(400).json({ error: 'Invalid credit amount' });
     }
 
+    const pkg = plan && await findCreditPackage(plan);
+
+    if (!pkg) {
+    return res.status(400).json({ error: 'Invalid plan' });
+    }
+
+    const amount = pkg.credits * quantity;
+
     // Update user credits using the database function
     const { data, error } = await supabase.rpc('update_user_credits', {
     user_uuid: req.user.id,
@@ -410,22 +669,35 @@ app.post('/api/auth/purchase', authenticateUser, async (req, res) => {
   }
 });
 
+// Image edits and headshots, newest first; each item's kind says which
 app.get('/api/auth/history', authenticateUser, async (req, res) => {
   try {
-    const { data: edits, error } = await supabase
-    .from('image_edits')
+    const [edits, headshots] = await Promise.all(['image_edits', 'headshot_generations'].map(table => supabase
+    .from(table)
     .select('*')
     .eq('user_id', req.user.id)
     .order('created_at', { ascending: false })
-    .limit(20);
+    .limit(20)));
 
-    if (error) {
+    if (edits.error || headshots.error) {
     return res.status(500).json({ error: 'Failed to fetch history' });
     }
 
+    const history = [
+    ...edits.data.map(edit => ({ ...edit, kind: edit.mask_id ? 'inpaint' : 'image_edit' })),
+    ...headshots.data.map(headshot => ({ ...headshot, kind: 'headshot' }))
+    ]
+    .map(item => ({
+    ...item,
+    image_url: imageUrlFor(item.id, item),
+    source_image_url: item.source_image_id ? imageDownloadPath(item.source_image_id) : null
+    }))
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .slice(0, 20);
+
     res.json({
     success: true,
-    history: edits
+    history
     });
   } catch (error) {
     console.error('History fetch error:', error);
@@ -433,204 +705,2606 @@ app.get('/api/auth/history', authenticateUser, async (req, res) => {
   }
 });
 
-// Stripe checkout session route
-app.post('/api/auth/create-checkout-session', async (req, res) => {
-  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
-  
-  const { plan, quantity = 1, email } = req.body;
-  
-  if (!PLANS[plan] || !quantity || quantity < 1) {
-    return res.status(400).json({ error: 'Invalid plan or quantity' });
-  }
-  
-  try {
-    const session = await stripe.checkout.sessions.create({
-      ui_mode: 'embedded',
-      line_items: [
-        {
-          price: PLANS[plan].priceId,
-          quantity,
-        },
-      ],
-      mode: 'payment',
-      return_url: `${process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000'}/return.html?session_id={CHECKOUT_SESSION_ID}`,
-      customer_email: email || undefined,
-      metadata: {
-        plan,
-        credits: PLANS[plan].credits,
-        quantity,
-      },
-    });
-    res.status(200).json({ clientSecret: session.client_secret });
-  } catch (err) {
-    console.error('Stripe checkout error:', err);
-    res.status(500).json({ error: err.message });
-  }
+const formatVersion = (edit) => ({
+  id: edit.id,
+  parentEditId: edit.parent_edit_id,
+  imageUrl: imageUrlFor(edit.id, edit),
+  sourceImageId: edit.source_image_id,
+  sourceImageUrl: edit.source_image_id ? imageDownloadPath(edit.source_image_id) : null,
+  parameters: edit.parameters,
+  maskId: edit.mask_id,
+  creditsUsed: edit.credits_used,
+  createdAt: edit.created_at
 });
 
-// Stripe webhook route
-app.post('/api/auth/stripe-webhook', express.raw({ type: 'application/json' }), async (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  let event;
-
+// An edit chain's versions, oldest first, and the same versions as a tree
+// (each with its children) for branching. rootId may be any edit in the chain.
+app.get('/api/images/:rootId/versions', authenticateUser, async (req, res) => {
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
-  } catch (err) {
-    console.error('Webhook signature verification failed.', err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
-  }
+    const { data: edit, error: editError } = await supabase
+    .from('image_edits')
+    .select('root_image_id')
+    .eq('id', req.params.rootId)
+    .eq('user_id', req.user.id)
+    .maybeSingle();
 
-  if (event.type === 'checkout.session.completed') {
-    const session = event.data.object;
-    const email = session.customer_details?.email;
-    const plan = session.metadata?.plan;
-    const credits = parseInt(session.metadata?.credits || '0', 10);
-    const quantity = parseInt(session.metadata?.quantity || '1', 10);
-    
-    if (email && credits && quantity) {
-      try {
-        const { data: user, error } = await supabase
-          .from('user_profiles')
-          .select('id, credits')
-          .eq('email', email)
-          .single();
-        
-        if (!user) throw new Error('User not found');
-        
-        const newCredits = (user.credits || 0) + credits * quantity;
-        await supabase
-          .from('user_profiles')
-          .update({ credits: newCredits })
-          .eq('id', user.id);
-          
-        console.log(`Credits updated for user ${email}: +${credits * quantity}`);
-      } catch (err) {
-        console.error('Failed to update credits:', err.message);
-      }
+    if (editError) {
+    return res.status(500).json({ error: 'Failed to fetch versions' });
     }
-  }
-  
-  res.status(200).end();
-});
 
-// Stripe session status route
-app.get('/api/auth/session-status', async (req, res) => {
-  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
-  
-  const { session_id } = req.query;
-  if (!session_id) return res.status(400).json({ error: 'Missing session_id' });
-  
-  try {
-    const session = await stripe.checkout.sessions.retrieve(session_id);
-    res.status(200).json({
-      status: session.status,
-      customer_email: session.customer_details?.email,
-      plan: session.metadata?.plan,
-      credits: session.metadata?.credits,
-      quantity: session.metadata?.quantity,
+    if (!edit) {
+    return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const { data: edits, error } = await supabase
+    .from('image_edits')
+    .select('*')
+    .eq('root_image_id', edit.root_image_id)
+    .eq('user_id', req.user.id)
+    .eq('status', 'completed')
+    .order('created_at', { ascending: true });
+
+    if (error) {
+    return res.status(500).json({ error: 'Failed to fetch versions' });
+    }
+
+    const versions = edits.map(formatVersion);
+    const nodes = new Map(versions.map(version => [version.id, { ...version, children: [] }]));
+    let tree = null;
+
+    for (const node of nodes.values()) {
+    if (node.parentEditId && nodes.has(node.parentEditId)) {
+    nodes.get(node.parentEditId).children.push(node);
+    } else if (node.id === edit.root_image_id) {
+    tree = node;
+    }
+    }
+
+    res.json({
+    success: true,
+    rootId: edit.root_image_id,
+    versions,
+    tree
     });
-  } catch (err) {
-    console.error('Session status error:', err);
-    res.status(500).json({ error: err.message });
+  } catch (error) {
+    console.error('Versions fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch versions' });
   }
 });
 
-// Image editing generation route (protected)
-app.post('/api/auth/generate-image-edit', authenticateUser, upload.single('image'), async (req, res) => {
+// How long a signed download URL lasts, in seconds
+const SIGNED_URL_TTL = parseInt(process.env.SIGNED_URL_TTL || '3600', 10);
+
+// A stored image (edit, headshot or uploaded original): redirects to a
+// signed, time-limited URL, or with ?redirect=false responds with the URL
+app.get('/api/images/:id/download', authenticateUser, async (req, res) => {
   try {
-    if (!req.file) {
-    return res.status(400).json({ error: 'No image file uploaded' });
+    const results = await Promise.all([
+    ...['image_edits', 'headshot_generations'].map(table => supabase
+    .from(table)
+    .select('id, image_url, storage_path')
+    .eq('id', req.params.id)
+    .eq('user_id', req.user.id)
+    .eq('status', 'completed')
+    .maybeSingle()),
+    supabase
+    .from('source_images')
+    .select('id, storage_path')
+    .eq('id', req.params.id)
+    .eq('user_id', req.user.id)
+    .maybeSingle()
+    ]);
+
+    if (results.some(result => result.error)) {
+    return res.status(500).json({ error: 'Failed to fetch image' });
     }
 
-    // Check if user has enough credits
-    if (req.user.credits < 1) {
-    return res.status(400).json({ 
-    error: 'Insufficient credits', 
-    message: 'You need at least 1 credit to edit an image. Please purchase more credits.' 
+    const image = results.find(result => result.data)?.data;
+
+    if (!image) {
+    return res.status(404).json({ error: 'Image not found' });
+    }
+
+    if (!image.storage_path) {
+    return res.status(410).json({
+    error: 'Image not stored',
+    message: 'This image was made before outputs were kept; its original link may have expired.',
+    imageUrl: image.image_url
     });
     }
 
-    const { prompt, outputFormat = 'jpg' } = req.body;
+    const url = await imageStorage.signedUrl(image.storage_path, {
+    expiresIn: SIGNED_URL_TTL,
+    filename: `${image.id}${path.extname(image.storage_path)}`
+    });
 
-    if (!prompt || prompt.trim() === '') {
-    return res.status(400).json({ error: 'Prompt is required for image editing' });
+    if (req.query.redirect === 'false') {
+    return res.json({
+    success: true,
+    url,
+    expiresAt: new Date(Date.now() + SIGNED_URL_TTL * 1000).toISOString()
+    });
     }
 
-    console.log('Processing image editing for user:', req.user.email);
-    console.log('File:', req.file.originalname);
-    console.log('Parameters:', { prompt, outputFormat });
+    // Browsers may reuse the redirect while the URL it points at is still good
+    res.set('Cache-Control', `private, max-age=${Math.floor(SIGNED_URL_TTL / 2)}`);
+    res.redirect(url);
+  } catch (error) {
+    console.error('Image download error:', error);
+    res.status(500).json({ error: 'Failed to download image' });
+  }
+});
 
-    // Convert uploaded file to data URI (from memory buffer)
-    const imageDataUri = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
+// Notification routes
+app.get('/api/notifications', authenticateUser, async (req, res) => {
+  try {
+    let query = supabase
+    .from('notifications')
+    .select('*')
+    .eq('user_id', req.user.id)
+    .order('created_at', { ascending: false })
+    .limit(20);
 
-    // Prepare input for the Flux Kontext Pro model
-    const input = {
-    prompt: prompt.trim(),
-    input_image: imageDataUri,
-    output_format: outputFormat
-    };
+    if (req.query.unread === 'true') {
+    query = query.is('read_at', null);
+    }
 
-    console.log('Sending request to Replicate...');
+    const { data: notifications, error } = await query;
 
-    // Run the Flux Kontext Pro model
-    const output = await replicate.run("black-forest-labs/flux-kontext-pro", { input });
+    if (error) {
+    return res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
 
-    // Deduct credit from user
-    const { data: creditUpdate, error: creditError } = await supabase.rpc('update_user_credits', {
-    user_uuid: req.user.id,
-    credit_change: -1,
-    transaction_type: 'usage',
-    description: 'Generated image edit'
+    res.json({
+    success: true,
+    notifications
     });
+  } catch (error) {
+    console.error('Notifications fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
 
-    if (creditError) {
-    console.error('Credit deduction error:', creditError);
+app.post('/api/notifications/:id/read', authenticateUser, async (req, res) => {
+  try {
+    const { error } = await supabase
+    .from('notifications')
+    .update({ read_at: new Date().toISOString() })
+    .eq('id', req.params.id)
+    .eq('user_id', req.user.id);
+
+    if (error) {
+    return res.status(500).json({ error: 'Failed to update notification' });
     }
 
-    // Log the generation
-    await supabase
-    .from('image_edits')
-    .insert({
-    user_id: req.user.id,
-    image_url: output,
-    parameters: { prompt, outputFormat },
-    credits_used: 1,
-    status: 'completed'
-    });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Notification update error:', error);
+    res.status(500).json({ error: 'Failed to update notification' });
+  }
+});
 
-    console.log('Image edit generated successfully');
-    res.json({ 
-    success: true, 
-    imageUrl: output,
-    message: 'Image edited successfully!',
-    creditsRemaining: req.user.credits - 1
-    });
+// Referrals the user has made, with their shareable code and link
+const maskEmail = (email) => {
+  const [local, domain] = (email || '').split('@');
+  return domain ? `${local.slice(0, 2)}***@${domain}` : '';
+};
 
-  } catch (error) {
-    console.error('Error generating image edit:', error);
+app.get('/api/referrals', authenticateUser, async (req, res) => {
+  try {
+    const { data: referrals, error } = await supabase
+    .from('referrals')
+    .select('id, referee_id, status, created_at, rewarded_at')
+    .eq('referrer_id', req.user.id)
+    .order('created_at', { ascending: false });
 
-    // Log failed generation
-    if (req.user) {
-    await supabase
-    .from('image_edits')
-    .insert({
-    user_id: req.user.id,
-    parameters: req.body,
-    credits_used: 0,
-    status: 'failed'
-    });
+    if (error) {
+    return res.status(500).json({ error: 'Failed to fetch referrals' });
     }
 
-    res.status(500).json({ 
-    error: 'Failed to edit image', 
-    details: error.message 
+    const { data: referees } = referrals.length
+    ? await supabase
+      .from('user_profiles')
+      .select('id, email')
+      .in('id', referrals.map(referral => referral.referee_id))
+    : { data: [] };
+    const emails = Object.fromEntries((referees || []).map(referee => [referee.id, referee.email]));
+
+    // Rejected referrals count as pending so the anti-abuse checks are not advertised
+    const status = (referral) => referral.status === 'rewarded' ? 'rewarded' : 'pending';
+    const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000';
+
+    res.json({
+    success: true,
+    code: req.user.referral_code,
+    link: `${baseUrl}/?ref=${req.user.referral_code}`,
+    rewards: {
+      referrerCredits: REFERRAL_REFERRER_CREDITS,
+      refereeCredits: REFERRAL_REFEREE_CREDITS
+    },
+    stats: {
+      total: referrals.length,
+      rewarded: referrals.filter(referral => referral.status === 'rewarded').length,
+      creditsEarned: referrals.filter(referral => referral.status === 'rewarded').length * REFERRAL_REFERRER_CREDITS
+    },
+    referrals: referrals.map(referral => ({
+      id: referral.id,
+      email: maskEmail(emails[referral.referee_id]),
+      status: status(referral),
+      createdAt: referral.created_at,
+      rewardedAt: referral.rewarded_at
+    }))
     });
+  } catch (error) {
+    console.error('Referrals fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch referrals' });
+  }
+});
+
+// Credit packages (credit_packages table)
+const formatCreditPackage = (pkg) => ({
+  id: pkg.id,
+  slug: pkg.slug,
+  name: pkg.name,
+  credits: pkg.credits,
+  price: pkg.price_cents / 100,
+  priceCents: pkg.price_cents,
+  bonusPercentage: pkg.bonus_percentage,
+  popular: pkg.popular
+});
+
+// Active package for a plan key, or null
+const findCreditPackage = async (slug) => {
+  const { data: pkg, error } = await supabase
+    .from('credit_packages')
+    .select('*')
+    .eq('slug', slug)
+    .eq('active', true)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return pkg;
+};
+
+app.get('/api/credits/packages', async (req, res) => {
+  try {
+    const { data: packages, error } = await supabase
+    .from('credit_packages')
+    .select('*')
+    .eq('active', true)
+    .not('slug', 'is', null)
+    .order('price_cents', { ascending: true });
+
+    if (error) {
+    return res.status(500).json({ error: 'Failed to fetch credit packages' });
+    }
+
+    res.json({
+    success: true,
+    packages: packages.map(formatCreditPackage)
+    });
+  } catch (error) {
+    console.error('Credit packages fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch credit packages' });
+  }
+});
+
+// Promo codes (promo_codes table); the SQL functions raise this SQLSTATE
+// with a user-facing message when a code can't be used
+const PROMO_ERROR_CODE = 'PC001';
+
+app.post('/api/credits/redeem', authenticateUser, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (code && typeof code !== 'string') {
+    return res.status(400).json({ error: 'Invalid promo code' });
+    }
+
+    if (!code || !code.trim()) {
+    return res.status(400).json({ error: 'Promo code is required' });
+    }
+
+    const { data: credits, error } = await supabase.rpc('redeem_promo_code', {
+    user_uuid: req.user.id,
+    promo_code: code
+    });
+
+    if (error?.code === PROMO_ERROR_CODE) {
+    return res.status(400).json({ error: error.message });
+    }
+
+    if (error) {
+    console.error('Promo redeem error:', error);
+    return res.status(500).json({ error: 'Failed to redeem promo code' });
+    }
+
+    res.json({
+    success: true,
+    message: `Promo code applied! ${credits} credits added.`,
+    creditsAdded: credits,
+    newBalance: req.user.credits + credits
+    });
+  } catch (error) {
+    console.error('Promo redeem error:', error);
+    res.status(500).json({ error: 'Failed to redeem promo code' });
+  }
+});
+
+// Stripe checkout session route
+app.post('/api/auth/create-checkout-session', authenticateUser, async (req, res) => {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+  
+  const { plan, quantity = 1, promoCode } = req.body;
+  
+  if (!plan || !Number.isInteger(quantity) || quantity < 1) {
+    return res.status(400).json({ error: 'Invalid plan or quantity' });
+  }
+
+  if (promoCode && typeof promoCode !== 'string') {
+    return res.status(400).json({ error: 'Invalid promo code' });
+  }
+  
+  try {
+    const pkg = await findCreditPackage(plan);
+
+    if (!pkg || !pkg.stripe_price_id) {
+      return res.status(400).json({ error: 'Invalid plan or quantity' });
+    }
+
+    let promo = null;
+    if (promoCode && promoCode.trim()) {
+      const { data, error: promoError } = await supabase.rpc('validate_promo_code', {
+        user_uuid: req.user.id,
+        promo_code: promoCode,
+        promo_kind: 'purchase',
+        plan_slug: plan
+      });
+
+      if (promoError?.code === PROMO_ERROR_CODE) {
+        return res.status(400).json({ error: promoError.message });
+      }
+
+      if (promoError) throw promoError;
+      promo = data;
+    }
+
+    const session = await stripe.checkout.sessions.create({
+      ui_mode: 'embedded',
+      line_items: [
+        {
+          price: pkg.stripe_price_id,
+          quantity,
+        },
+      ],
+      mode: 'payment',
+      return_url: `${process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000'}/return.html?session_id={CHECKOUT_SESSION_ID}`,
+      customer_email: req.user.email,
+      // The webhook credits this user id, not whoever's email Stripe reports back
+      client_reference_id: req.user.id,
+      ...(promo?.stripe_coupon_id ? { discounts: [{ coupon: promo.stripe_coupon_id }] } : {}),
+      metadata: {
+        user_id: req.user.id,
+        plan,
+        package_id: pkg.id,
+        credits: pkg.credits,
+        quantity,
+        ...(promo ? { promo_code: promo.code } : {}),
+      },
+    });
+    res.status(200).json({ clientSecret: session.client_secret });
+  } catch (err) {
+    console.error('Stripe checkout error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Subscription plans (subscription_plans table)
+const formatSubscriptionPlan = (plan) => ({
+  id: plan.id,
+  slug: plan.slug,
+  name: plan.name,
+  monthlyCredits: plan.monthly_credits,
+  price: plan.price_cents / 100,
+  priceCents: plan.price_cents,
+  rolloverCap: plan.rollover_cap
+});
+
+app.get('/api/subscriptions/plans', async (req, res) => {
+  try {
+    const { data: plans, error } = await supabase
+    .from('subscription_plans')
+    .select('*')
+    .eq('active', true)
+    .not('stripe_price_id', 'is', null)
+    .order('price_cents', { ascending: true });
+
+    if (error) {
+    return res.status(500).json({ error: 'Failed to fetch subscription plans' });
+    }
+
+    res.json({
+    success: true,
+    plans: plans.map(formatSubscriptionPlan)
+    });
+  } catch (error) {
+    console.error('Subscription plans fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch subscription plans' });
+  }
+});
+
+const getUserSubscription = async (userId) => {
+  const { data: subscription, error } = await supabase
+    .from('user_subscriptions')
+    .select('*, plan:subscription_plans(*)')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return subscription;
+};
+
+app.get('/api/subscription', authenticateUser, async (req, res) => {
+  try {
+    const subscription = await getUserSubscription(req.user.id);
+
+    res.json({
+    success: true,
+    subscription: subscription && {
+    status: subscription.status,
+    plan: subscription.plan && formatSubscriptionPlan(subscription.plan),
+    currentPeriodEnd: subscription.current_period_end,
+    cancelAtPeriodEnd: subscription.cancel_at_period_end,
+    periodAllowance: subscription.period_allowance
+    }
+    });
+  } catch (error) {
+    console.error('Subscription fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch subscription' });
+  }
+});
+
+// Stripe subscription checkout session route
+app.post('/api/auth/create-subscription-session', authenticateUser, async (req, res) => {
+  const { plan } = req.body;
+
+  try {
+    const { data: subscriptionPlan, error } = await supabase
+      .from('subscription_plans')
+      .select('*')
+      .eq('slug', plan || '')
+      .eq('active', true)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!subscriptionPlan || !subscriptionPlan.stripe_price_id) {
+      return res.status(400).json({ error: 'Invalid plan' });
+    }
+
+    const existing = await getUserSubscription(req.user.id);
+
+    if (existing && !['canceled', 'incomplete_expired'].includes(existing.status)) {
+      return res.status(400).json({ error: 'You already have a subscription. Manage it from the billing portal.' });
+    }
+
+    const session = await stripe.checkout.sessions.create({
+      ui_mode: 'embedded',
+      line_items: [
+        {
+          price: subscriptionPlan.stripe_price_id,
+          quantity: 1,
+        },
+      ],
+      mode: 'subscription',
+      return_url: `${process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000'}/?session_id={CHECKOUT_SESSION_ID}`,
+      ...(existing?.stripe_customer_id
+        ? { customer: existing.stripe_customer_id }
+        : { customer_email: req.user.email }),
+      client_reference_id: req.user.id,
+      metadata: {
+        user_id: req.user.id,
+        plan,
+      },
+      // Renewals only see the subscription, so it carries our user id too
+      subscription_data: {
+        metadata: {
+          user_id: req.user.id,
+          plan,
+        },
+      },
+    });
+    res.status(200).json({
+      clientSecret: session.client_secret,
+      publishableKey: process.env.STRIPE_PUBLISHABLE_KEY
+    });
+  } catch (err) {
+    console.error('Stripe subscription checkout error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Stripe customer portal (change plan, cancel, update card)
+app.post('/api/subscription/portal', authenticateUser, async (req, res) => {
+  try {
+    const subscription = await getUserSubscription(req.user.id);
+
+    if (!subscription?.stripe_customer_id) {
+      return res.status(400).json({ error: 'No subscription found' });
+    }
+
+    const portal = await stripe.billingPortal.sessions.create({
+      customer: subscription.stripe_customer_id,
+      return_url: process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000',
+    });
+    res.json({ success: true, url: portal.url });
+  } catch (err) {
+    console.error('Billing portal error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Resolve the buyer of a checkout session. Sessions created before checkout
+// carried our user id fall back to the customer email.
+const findCheckoutUserId = async (session) => {
+  const userId = session.client_reference_id || session.metadata?.user_id;
+  if (userId) return userId;
+
+  const email = session.customer_details?.email;
+  if (!email) return null;
+
+  console.warn('Checkout session without user id, falling back to email lookup:', session.id);
+  const { data: user } = await supabase
+    .from('user_profiles')
+    .select('id')
+    .eq('email', email)
+    .single();
+  return user?.id || null;
+};
+
+const checkoutSessionCredits = (session) =>
+  parseInt(session.metadata?.credits || '0', 10) * parseInt(session.metadata?.quantity || '1', 10);
+
+// Refunds and disputes only reference the payment intent; find the checkout session behind it
+const findPaymentCheckoutSession = async (paymentIntentId) => {
+  if (!paymentIntentId) return null;
+
+  const sessions = await stripe.checkout.sessions.list({ payment_intent: paymentIntentId, limit: 1 });
+  return sessions.data[0] || null;
+};
+
+const notifyUser = async (userId, type, title, message) => {
+  const { error } = await supabase
+    .from('notifications')
+    .insert({ user_id: userId, type, title, message });
+
+  if (error) {
+    console.error('Notification insert error:', error);
+  }
+};
+
+// Work out how many of a session's credits a refund, dispute or failed payment
+// should leave reversed, and what to tell the user once it's applied
+const CREDIT_REVERSAL_HANDLERS = {
+  'charge.refunded': async (charge) => {
+    const session = await findPaymentCheckoutSession(charge.payment_intent);
+    if (!session) return null;
+
+    return {
+      session,
+      reversedTotal: Math.round(checkoutSessionCredits(session) * charge.amount_refunded / charge.amount),
+      transactionType: 'refund',
+      notice: (credits) => ['Purchase refunded', `Your payment was refunded and ${credits} credits were removed from your balance.`]
+    };
+  },
+  'charge.dispute.created': async (dispute) => {
+    const session = await findPaymentCheckoutSession(dispute.payment_intent);
+    if (!session) return null;
+
+    return {
+      session,
+      reversedTotal: checkoutSessionCredits(session),
+      transactionType: 'chargeback',
+      accountStatus: 'locked',
+      notice: (credits) => ['Payment disputed', `A dispute was opened for your payment. ${credits} credits were removed and your account is locked until the dispute is resolved.`]
+    };
+  },
+  'charge.dispute.closed': async (dispute) => {
+    const session = await findPaymentCheckoutSession(dispute.payment_intent);
+    if (!session) return null;
+
+    if (dispute.status === 'lost') {
+      return {
+        session,
+        reversedTotal: checkoutSessionCredits(session),
+        transactionType: 'chargeback',
+        notice: () => ['Dispute closed', 'The disputed purchase has been reversed. Please contact support to unlock your account.']
+      };
+    }
+
+    // Won (or an inquiry closed without a chargeback): only refunds stay reversed
+    const charge = await stripe.charges.retrieve(dispute.charge);
+    return {
+      session,
+      reversedTotal: Math.round(checkoutSessionCredits(session) * charge.amount_refunded / charge.amount),
+      transactionType: 'chargeback_reversal',
+      accountStatus: 'active',
+      notice: (credits) => ['Dispute resolved', `The dispute was resolved in your favour. ${-credits} credits were restored and your account is unlocked.`]
+    };
+  },
+  'checkout.session.async_payment_failed': async (session) => ({
+    session,
+    reversedTotal: checkoutSessionCredits(session),
+    transactionType: 'payment_failed',
+    notice: () => ['Payment failed', `Your payment for the ${session.metadata?.plan} plan failed, so no credits were added.`]
+  })
+};
+
+const applyCreditReversal = async (event) => {
+  const reversal = await CREDIT_REVERSAL_HANDLERS[event.type](event.data.object);
+
+  // Not a credit purchase (or not one of ours)
+  if (!reversal) return;
+
+  const { session, reversedTotal, transactionType, accountStatus, notice } = reversal;
+  const userId = await findCheckoutUserId(session);
+  if (!userId) throw new Error(`User not found for checkout session ${session.id}`);
+
+  const { data: reversed, error } = await supabase.rpc('reverse_stripe_credits', {
+    event_id: event.id,
+    event_type: event.type,
+    user_uuid: userId,
+    checkout_session_id: session.id,
+    reversed_total: reversedTotal,
+    transaction_type: transactionType,
+    description: `${event.type} - ${session.metadata?.plan} plan`,
+    new_account_status: accountStatus || null
+  });
+
+  if (error) throw error;
+
+  if (reversed === null) {
+    console.log(`Stripe event ${event.id} already applied, skipping`);
+    return;
+  }
+
+  console.log(`Credits reversed for user ${userId}: -${reversed} (${event.type})`);
+  const [title, message] = notice(reversed);
+  await notifyUser(userId, transactionType, title, message);
+};
+
+// Mirror a Stripe subscription into user_subscriptions
+const syncSubscription = async (subscription) => {
+  const userId = subscription.metadata?.user_id;
+
+  // Not created through our subscription checkout
+  if (!userId) return null;
+
+  const { data: existing } = await supabase
+    .from('user_subscriptions')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  // A late event for an old, canceled subscription must not replace a newer one
+  if (existing && existing.stripe_subscription_id !== subscription.id && subscription.status === 'canceled') {
+    return existing;
+  }
+
+  // Plan changes made in the customer portal only change the price
+  const { data: plan } = await supabase
+    .from('subscription_plans')
+    .select('id')
+    .eq('stripe_price_id', subscription.items?.data?.[0]?.price?.id)
+    .maybeSingle();
+
+  const { data: row, error } = await supabase
+    .from('user_subscriptions')
+    .upsert({
+      user_id: userId,
+      ...(plan ? { plan_id: plan.id } : {}),
+      stripe_customer_id: subscription.customer,
+      stripe_subscription_id: subscription.id,
+      status: subscription.status,
+      current_period_end: new Date(subscription.current_period_end * 1000).toISOString(),
+      cancel_at_period_end: subscription.cancel_at_period_end,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'user_id' })
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return row;
+};
+
+const SUBSCRIPTION_EVENT_HANDLERS = {
+  'checkout.session.completed': async (event) => {
+    const session = event.data.object;
+    if (session.mode !== 'subscription') return;
+
+    await syncSubscription(await stripe.subscriptions.retrieve(session.subscription));
+  },
+  // First payment and every renewal grant the plan's allowance
+  'invoice.paid': async (event) => {
+    const invoice = event.data.object;
+    if (!invoice.subscription || !['subscription_create', 'subscription_cycle'].includes(invoice.billing_reason)) return;
+
+    const subscription = await syncSubscription(await stripe.subscriptions.retrieve(invoice.subscription));
+    if (!subscription) return;
+
+    const { data: granted, error } = await supabase.rpc('grant_subscription_allowance', {
+      event_id: event.id,
+      event_type: event.type,
+      user_uuid: subscription.user_id
+    });
+
+    if (error) throw error;
+
+    if (granted !== null) {
+      console.log(`Subscription allowance granted for user ${subscription.user_id}: +${granted}`);
+      await rewardReferral(subscription.user_id);
+    }
+  },
+  'customer.subscription.updated': async (event) => {
+    await syncSubscription(event.data.object);
+  },
+  'customer.subscription.deleted': async (event) => {
+    await syncSubscription(event.data.object);
+  }
+};
+
+// Stripe webhook route
+app.post('/api/auth/stripe-webhook', async (req, res) => {
+  const sig = req.headers['stripe-signature'];
+  let event;
+
+  try {
+    // express.json() has already parsed the body; verify against the raw bytes
+    event = stripe.webhooks.constructEvent(req.rawBody, sig, process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (err) {
+    console.error('Webhook signature verification failed.', err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  // Async payment methods complete the session unpaid and settle later
+  const paidCheckout =
+    (event.type === 'checkout.session.completed' && event.data.object.mode === 'payment' && event.data.object.payment_status !== 'unpaid') ||
+    event.type === 'checkout.session.async_payment_succeeded';
+
+  if (paidCheckout) {
+    const session = event.data.object;
+    const plan = session.metadata?.plan;
+    const credits = parseInt(session.metadata?.credits || '0', 10);
+    const quantity = parseInt(session.metadata?.quantity || '1', 10);
+    
+    if (credits && quantity) {
+      try {
+        const userId = await findCheckoutUserId(session);
+        if (!userId) throw new Error(`User not found for checkout session ${session.id}`);
+        
+        const { data: applied, error } = await supabase.rpc('apply_stripe_credit_event', {
+          event_id: event.id,
+          event_type: event.type,
+          user_uuid: userId,
+          credit_change: credits * quantity,
+          transaction_type: 'purchase',
+          checkout_session_id: session.id,
+          description: `Purchased ${credits * quantity} credits - ${plan} plan`
+        });
+
+        if (error) throw error;
+          
+        if (applied) {
+          console.log(`Credits updated for user ${userId}: +${credits * quantity}`);
+          await rewardReferral(userId);
+        } else {
+          console.log(`Stripe event ${event.id} already applied, skipping`);
+        }
+
+        // Promo bonus is recorded once per session, so retries are safe here too
+        if (session.metadata?.promo_code) {
+          const { data: bonus, error: promoError } = await supabase.rpc('apply_purchase_promo', {
+            user_uuid: userId,
+            promo_code: session.metadata.promo_code,
+            purchased_credits: credits * quantity,
+            checkout_session_id: session.id
+          });
+
+          if (promoError) throw promoError;
+
+          if (bonus) {
+            console.log(`Promo bonus for user ${userId}: +${bonus} (${session.metadata.promo_code})`);
+          }
+        }
+      } catch (err) {
+        // A non-2xx response makes Stripe retry; the event ledger keeps retries safe
+        console.error('Failed to update credits:', err.message);
+        return res.status(500).json({ error: 'Failed to apply credits' });
+      }
+    }
+  }
+
+  if (SUBSCRIPTION_EVENT_HANDLERS[event.type]) {
+    try {
+      await SUBSCRIPTION_EVENT_HANDLERS[event.type](event);
+    } catch (err) {
+      console.error('Failed to process subscription event:', err.message);
+      return res.status(500).json({ error: 'Failed to process subscription event' });
+    }
+  }
+
+  if (CREDIT_REVERSAL_HANDLERS[event.type]) {
+    try {
+      await applyCreditReversal(event);
+    } catch (err) {
+      console.error('Failed to reverse credits:', err.message);
+      return res.status(500).json({ error: 'Failed to reverse credits' });
+    }
+  }
+  
+  res.status(200).end();
+});
+
+// Stripe session status route
+app.get('/api/auth/session-status', async (req, res) => {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+  
+  const { session_id } = req.query;
+  if (!session_id) return res.status(400).json({ error: 'Missing session_id' });
+  
+  try {
+    const session = await stripe.checkout.sessions.retrieve(session_id);
+    res.status(200).json({
+      status: session.status,
+      customer_email: session.customer_details?.email,
+      plan: session.metadata?.plan,
+      credits: session.metadata?.credits,
+      quantity: session.metadata?.quantity,
+    });
+  } catch (err) {
+    console.error('Session status error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Credit holds
+// Credits are reserved before a model runs, committed on success and released
+// on failure (see reserve_user_credits in database_schema.sql).
+// One hold per amount, all or nothing. Returns the hold ids in order, or
+// null when the balance can't cover every amount.
+const reserveCreditsEach = async (userId, amounts, description) => {
+  const { data: holdIds, error } = await supabase.rpc('reserve_batch_credits', {
+    user_uuid: userId,
+    amounts,
+    hold_description: description
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return holdIds;
+};
+
+const commitCredits = async (holdId, description) => {
+  const { data: committed, error } = await supabase.rpc('commit_credit_hold', {
+    hold_uuid: holdId,
+    transaction_type: 'usage',
+    description
+  });
+
+  if (error) {
+    console.error('Credit commit error:', error);
+    return false;
+  }
+
+  return committed;
+};
+
+const releaseCredits = async (holdId) => {
+  const { error } = await supabase.rpc('release_credit_hold', { hold_uuid: holdId });
+
+  if (error) {
+    console.error('Credit release error:', error);
+  }
+};
+
+// Generation jobs
+// Replicate prediction states mapped onto generation_jobs.status
+const PREDICTION_STATUS_MAP = {
+  starting: 'queued',
+  processing: 'running',
+  succeeded: 'succeeded',
+  failed: 'failed',
+  canceled: 'failed'
+};
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+// What differs between the kinds of generation job: the history table a
+// finished job is logged to (and the job column linking it), and wording
+const GENERATION_KINDS = {
+  image_edit: {
+    historyTable: 'image_edits',
+    historyColumn: 'image_edit_id',
+    label: 'Image edit',
+    action: 'edit this image',
+    completedDescription: 'Generated image edit',
+    failureMessage: 'Failed to edit image'
+  },
+  inpaint: {
+    historyTable: 'image_edits',
+    historyColumn: 'image_edit_id',
+    label: 'Inpainting edit',
+    action: 'edit this region',
+    completedDescription: 'Generated inpainting edit',
+    failureMessage: 'Failed to edit region'
+  },
+  headshot: {
+    historyTable: 'headshot_generations',
+    historyColumn: 'headshot_generation_id',
+    label: 'Professional headshot',
+    action: 'generate a headshot',
+    completedDescription: 'Generated professional headshot',
+    failureMessage: 'Failed to generate headshot'
+  }
+};
+const HEADSHOT_MODEL = 'professional-headshot';
+
+// A request can ask for several outputs (variations) of the same edit
+const MAX_NUM_OUTPUTS = 4;
+const MAX_SEED = 2147483647;
+
+// Each output's seed: consecutive from the requested seed, so a result can
+// be reproduced from its own seed, or random when none was given
+const outputSeeds = (seed, count) => Array.from({ length: count }, (_, index) => seed === undefined
+  ? crypto.randomInt(MAX_SEED)
+  : (seed + index) % (MAX_SEED + 1));
+
+// Predictions report back to us when a webhook secret is configured,
+// so jobs complete even if nobody is polling
+const REPLICATE_WEBHOOK_URL = `${process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000'}/api/webhooks/replicate`;
+
+const predictionWebhookOptions = () => process.env.REPLICATE_WEBHOOK_SECRET
+  ? { webhook: REPLICATE_WEBHOOK_URL, webhookEventsFilter: ['start', 'completed'] }
+  : {};
+
+// Stored images are served through the download route, which signs a fresh
+// URL each time; images from before storage keep the provider's URL
+const imageDownloadPath = (imageId) => `/api/images/${imageId}/download`;
+
+const imageUrlFor = (imageId, row) => (row.storage_path && imageId ? imageDownloadPath(imageId) : row.image_url);
+
+// An image's bytes, from storage or else from the provider
+const readImage = (row) => (row.storage_path ? imageStorage.read(row.storage_path) : imageProvider.fetchOutput(row.image_url));
+
+const formatJob = (job) => ({
+  id: job.id,
+  kind: job.kind,
+  status: job.status,
+  imageUrl: imageUrlFor(job.image_edit_id || job.headshot_generation_id, job),
+  error: job.error,
+  parameters: job.parameters,
+  imageEditId: job.image_edit_id,
+  headshotGenerationId: job.headshot_generation_id,
+  maskId: job.mask_id,
+  parentEditId: job.parent_edit_id,
+  sourceImageId: job.source_image_id,
+  batchId: job.batch_id,
+  batchIndex: job.batch_index,
+  variationOf: job.variation_of,
+  seed: job.parameters?.seed ?? null,
+  creditsUsed: job.credits_used,
+  createdAt: job.created_at,
+  updatedAt: job.updated_at,
+  completedAt: job.completed_at
+});
+
+// Copy an output to storage under the id of the image it belongs to. Returns
+// its key, or null if the copy failed: the image then only has the provider's
+// URL, and scripts/backfill-image-storage.js can retry while that lasts.
+const storeOutput = async (userId, imageId, outputUrl) => {
+  try {
+    const { buffer, contentType } = await imageProvider.fetchOutput(outputUrl);
+    return await imageStorage.save(imageStorageKey(userId, imageId, contentType, outputUrl), buffer, contentType);
+  } catch (error) {
+    console.error('Output storage error:', error);
+    return null;
+  }
+};
+
+// Apply a Replicate prediction to its job. Terminal states are claimed with a
+// conditional update so credits are charged and history is written only once,
+// no matter how many pollers observe the finished prediction. With unsubmitted
+// the job is only finished if it has no prediction yet.
+const applyPredictionToJob = async (job, prediction, { unsubmitted = false } = {}) => {
+  const status = PREDICTION_STATUS_MAP[prediction.status] || job.status;
+  const now = new Date().toISOString();
+
+  if (ACTIVE_JOB_STATUSES.includes(status)) {
+    if (status === job.status) return job;
+
+    const { data: updated } = await supabase
+      .from('generation_jobs')
+      .update({ status, updated_at: now })
+      .eq('id', job.id)
+      .in('status', ACTIVE_JOB_STATUSES)
+      .select()
+      .maybeSingle();
+    return updated || job;
+  }
+
+  const output = Array.isArray(prediction.output) ? prediction.output[0] : prediction.output;
+  const succeeded = status === 'succeeded' && !!output;
+
+  let claim = supabase
+    .from('generation_jobs')
+    .update({
+      status: succeeded ? 'succeeded' : 'failed',
+      image_url: succeeded ? output : null,
+      error: succeeded ? null : (prediction.error || `Prediction ${prediction.status}`),
+      updated_at: now,
+      completed_at: now
+    })
+    .eq('id', job.id)
+    .in('status', ACTIVE_JOB_STATUSES);
+
+  if (unsubmitted) {
+    claim = claim.is('prediction_id', null);
+  }
+
+  const { data: claimed, error: claimError } = await claim.select().maybeSingle();
+
+  if (claimError) {
+    throw claimError;
+  }
+
+  // Another request already finished this job
+  if (!claimed) {
+    const { data: current } = await supabase
+      .from('generation_jobs')
+      .select('*')
+      .eq('id', job.id)
+      .single();
+    return current || job;
+  }
+
+  const generationKind = GENERATION_KINDS[job.kind] || GENERATION_KINDS.image_edit;
+  // Every kind keeps its original; mask and edit chain links only exist for image edits
+  const historyLinks = {
+    ...(job.source_image_id ? { source_image_id: job.source_image_id } : {}),
+    ...(job.mask_id ? { mask_id: job.mask_id } : {}),
+    ...(job.parent_edit_id ? { parent_edit_id: job.parent_edit_id } : {})
+  };
+
+  if (!succeeded) {
+    if (job.credit_hold_id) {
+      await releaseCredits(job.credit_hold_id);
+    }
+
+    await supabase
+      .from(generationKind.historyTable)
+      .insert({
+        user_id: job.user_id,
+        parameters: job.parameters,
+        ...historyLinks,
+        credits_used: 0,
+        status: 'failed'
+      });
+    return claimed;
+  }
+
+  const creditsUsed = job.credits_used ?? 1;
+  // Free outputs (see splitCredits) have nothing to charge
+  let charged = creditsUsed === 0 || (job.credit_hold_id && await commitCredits(job.credit_hold_id, generationKind.completedDescription));
+
+  // The hold expired before the model finished; charge the balance directly
+  if (!charged) {
+    const { data: deducted, error: creditError } = await supabase.rpc('update_user_credits', {
+      user_uuid: job.user_id,
+      credit_change: -creditsUsed,
+      transaction_type: 'usage',
+      description: generationKind.completedDescription
+    });
+
+    if (creditError) {
+      console.error('Credit deduction error:', creditError);
+    }
+
+    charged = !creditError && deducted;
+  }
+
+  // No credits were taken, so the result isn't handed out
+  if (!charged) {
+    const { data: unpaid } = await supabase
+      .from('generation_jobs')
+      .update({
+        status: 'failed',
+        image_url: null,
+        error: 'Insufficient credits'
+      })
+      .eq('id', job.id)
+      .select()
+      .single();
+    return unpaid || claimed;
+  }
+
+  // Keep our own copy; the provider's URL expires within hours
+  const imageId = crypto.randomUUID();
+  const storagePath = await storeOutput(job.user_id, imageId, output);
+
+  // Log the generation
+  const { data: logged, error: logError } = await supabase
+    .from(generationKind.historyTable)
+    .insert({
+      id: imageId,
+      user_id: job.user_id,
+      image_url: output,
+      storage_path: storagePath,
+      parameters: job.parameters,
+      ...historyLinks,
+      credits_used: creditsUsed,
+      status: 'completed'
+    })
+    .select()
+    .single();
+
+  if (logError) {
+    console.error(`${generationKind.label} log error:`, logError);
+    return claimed;
+  }
+
+  const { data: linked } = await supabase
+    .from('generation_jobs')
+    .update({ [generationKind.historyColumn]: logged.id, storage_path: storagePath })
+    .eq('id', job.id)
+    .select()
+    .single();
+
+  console.log(`${generationKind.label} generated successfully for job:`, job.id);
+  await rewardReferral(job.user_id);
+  return linked || claimed;
+};
+
+// Pull the latest prediction state from Replicate for a job that is still active
+const refreshJob = async (job) => {
+  if (!ACTIVE_JOB_STATUSES.includes(job.status) || !job.prediction_id) {
+    return job;
+  }
+
+  const prediction = await imageProvider.status(job.prediction_id);
+  return applyPredictionToJob(job, prediction);
+};
+
+// Image editing generation route (protected)
+// Supported models and their inputs, with each model's base credit price
+app.get('/api/models', async (req, res) => {
+  try {
+    const models = MODELS.filter(model => !req.query.kind || model.kind === req.query.kind);
+
+    const { data: prices, error } = await supabase
+    .from('model_pricing')
+    .select('model_id, base_credits')
+    .eq('active', true)
+    .in('model_id', models.map(model => model.replicateModel));
+
+    if (error) {
+    return res.status(500).json({ error: 'Failed to fetch models' });
+    }
+
+    const baseCredits = Object.fromEntries(prices.map(price => [price.model_id, price.base_credits]));
+
+    res.json({
+    success: true,
+    defaultModel: DEFAULT_IMAGE_EDIT_MODEL,
+    // Models without a price can't be charged for, so they aren't offered
+    models: models
+      .filter(model => baseCredits[model.replicateModel] !== undefined)
+      .map(model => ({ ...formatModel(model), baseCredits: baseCredits[model.replicateModel] }))
+    });
+  } catch (error) {
+    console.error('Models fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch models' });
+  }
+});
+
+// Credit cost of a generation before it is submitted. width/height are the
+// input image's, and the model's other fields (outputFormat, aspectRatio, ...)
+// are validated as they would be on submit; the charge itself is worked out
+// again from the upload, after it is downsized to the model's limit.
+app.get('/api/pricing/quote', async (req, res) => {
+  try {
+    const model = findModel(req.query.model || DEFAULT_IMAGE_EDIT_MODEL);
+    const numOutputs = parseInt(req.query.numOutputs || '1', 10);
+    const width = parseInt(req.query.width, 10);
+    const height = parseInt(req.query.height, 10);
+
+    if (!Number.isInteger(numOutputs) || numOutputs < 1 || numOutputs > MAX_NUM_OUTPUTS) {
+    return res.status(400).json({ error: `numOutputs must be between 1 and ${MAX_NUM_OUTPUTS}` });
+    }
+
+    if (!model) {
+    return res.status(404).json({ error: 'Unknown model' });
+    }
+
+    const { input, errors } = validateModelInputs(model, req.query, { partial: true });
+
+    if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid parameters', details: errors.join('. ') });
+    }
+
+    const pricing = await fetchModelPricing(supabase, model.replicateModel);
+
+    if (!pricing) {
+    return res.status(404).json({ error: 'Unknown model', message: `No price is configured for ${model.id}` });
+    }
+
+    const quote = quoteCredits(pricing, {
+    megapixels: width > 0 && height > 0 ? Math.min((width * height) / 1e6, model.maxInputMegapixels ?? Infinity) : null,
+    outputFormat: input.output_format,
+    numOutputs,
+    input
+    });
+
+    res.json({
+    success: true,
+    model: model.id,
+    ...quote
+    });
+  } catch (error) {
+    console.error('Pricing quote error:', error);
+    res.status(500).json({ error: 'Failed to quote price' });
+  }
+});
+
+// Keep an uploaded original in storage, once per user and content: the same
+// file uploaded again reuses its row. What is kept is preprocessed like the
+// copy sent to the model, but at full size: oriented, stripped of its EXIF
+// (GPS included) and, for HEIC and AVIF, converted to a format browsers show.
+// Returns the source image id, or null if it couldn't be kept, in which case
+// the edit goes ahead without it.
+const storeSourceImage = async (userId, uploaded) => {
+  const contentHash = crypto.createHash('sha256').update(uploaded.buffer).digest('hex');
+  const findExisting = () => supabase
+    .from('source_images')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('content_hash', contentHash)
+    .maybeSingle();
+
+  try {
+    const { data: existing } = await findExisting();
+    if (existing) return existing.id;
+
+    const { image, error: preprocessError } = await preprocessImage(uploaded);
+    if (preprocessError) throw new Error(preprocessError);
+
+    const storagePath = imageStorageKey(userId, `sources/${contentHash}`, image.mimetype);
+    await imageStorage.save(storagePath, image.buffer, image.mimetype);
+
+    const size = imageSize(image.buffer);
+    const { data: created, error } = await supabase
+      .from('source_images')
+      .insert({
+        user_id: userId,
+        content_hash: contentHash,
+        storage_path: storagePath,
+        content_type: image.mimetype,
+        file_name: image.originalname,
+        width: size?.width ?? null,
+        height: size?.height ?? null,
+        size_bytes: image.buffer.length
+      })
+      .select('id')
+      .single();
+
+    // A parallel request kept the same file first
+    if (error?.code === '23505') {
+      const { data: stored } = await findExisting();
+      return stored?.id ?? null;
+    }
+
+    if (error) throw error;
+    return created.id;
+  } catch (error) {
+    console.error('Source image storage error:', error);
+    return null;
+  }
+};
+
+// A kept original, read back from storage to edit again
+const loadSourceImage = async (sourceImageId, userId) => {
+  const { data: source } = await supabase
+    .from('source_images')
+    .select('*')
+    .eq('id', sourceImageId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (!source) {
+    return { status: 404, body: { error: 'Source image not found' } };
+  }
+
+  try {
+    const { buffer } = await imageStorage.read(source.storage_path);
+    return {
+      image: { buffer, mimetype: source.content_type, originalname: source.file_name || `source-${source.id}` },
+      parentEdit: null,
+      sourceImageId: source.id
+    };
+  } catch (error) {
+    console.error('Source image read error:', error);
+    return { status: 500, body: { error: 'Failed to read source image' } };
+  }
+};
+
+// The image to edit and the original it came from: the upload (to be kept
+// as a new source image, which keepAsSource flags), a kept original with
+// sourceImageId, or with parentEditId (continuing an edit chain) the parent
+// edit's output, sharing the chain's original. An upload sent with
+// parentEditId is used instead of the parent's output, e.g. once the
+// provider's URL has expired.
+// Returns { image, parentEdit, sourceImageId, keepAsSource } or { status, body }.
+const resolveInputImage = async (req, generationKind) => {
+  const imageFile = req.files?.image?.[0];
+  const { parentEditId, sourceImageId } = req.body;
+
+  if (!parentEditId) {
+    if (imageFile) {
+      return { image: imageFile, parentEdit: null, sourceImageId: null, keepAsSource: true };
+    }
+
+    return sourceImageId
+      ? loadSourceImage(sourceImageId, req.user.id)
+      : { status: 400, body: { error: 'No image file uploaded' } };
+  }
+
+  if (generationKind.historyTable !== 'image_edits') {
+    return { status: 400, body: { error: 'Unexpected parentEditId', message: 'Only image edits can continue an edit chain' } };
+  }
+
+  const { data: parentEdit } = await supabase
+    .from('image_edits')
+    .select('id, image_url, storage_path, source_image_id')
+    .eq('id', parentEditId)
+    .eq('user_id', req.user.id)
+    .eq('status', 'completed')
+    .maybeSingle();
+
+  if (!parentEdit?.image_url) {
+    return { status: 404, body: { error: 'Edit not found' } };
+  }
+
+  if (imageFile) {
+    return { image: imageFile, parentEdit, sourceImageId: parentEdit.source_image_id };
+  }
+
+  try {
+    const { buffer, contentType } = await readImage(parentEdit);
+    return {
+      image: { buffer, mimetype: contentType || 'image/png', originalname: `edit-${parentEdit.id}` },
+      parentEdit,
+      sourceImageId: parentEdit.source_image_id
+    };
+  } catch (error) {
+    console.error('Parent edit fetch error:', error);
+    return {
+      status: 410,
+      body: { error: 'Version unavailable', message: 'That version\'s image has expired. Upload it again to keep editing.' }
+    };
+  }
+};
+
+// The mask for an inpainting request: a newly uploaded mask file, or maskId
+// to reuse one saved with an earlier edit. Either way it must be the same
+// size as the image as uploaded (report is preprocessImage's). Returns
+// { mask } ({ id, dataUri, width, height, inputDataUri }, id null for a new
+// upload, inputDataUri set when the image was resized and the mask scaled to
+// match, or null if the model takes no mask) or { status, body }.
+const resolveMask = async (req, model, report) => {
+  const maskFile = req.files?.mask?.[0];
+  const { maskId } = req.body;
+
+  if (!model.maskInput) {
+    return maskFile || maskId
+      ? { status: 400, body: { error: 'Unexpected mask', message: `${model.name} does not take a mask` } }
+      : { mask: null };
+  }
+
+  let mask;
+
+  if (maskFile) {
+    const size = imageSize(maskFile.buffer);
+    if (!size) {
+      return { status: 400, body: { error: 'Invalid mask', message: 'The mask could not be read as an image' } };
+    }
+    mask = { id: null, dataUri: `data:${maskFile.mimetype};base64,${maskFile.buffer.toString('base64')}`, ...size };
+  } else if (maskId) {
+    const { data: saved } = await supabase
+      .from('image_masks')
+      .select('*')
+      .eq('id', maskId)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (!saved) {
+      return { status: 404, body: { error: 'Mask not found' } };
+    }
+    mask = { id: saved.id, dataUri: saved.mask_data, width: saved.width, height: saved.height };
+  } else {
+    return { status: 400, body: { error: 'Mask required', message: 'Upload a mask (or pass maskId) marking the region to edit' } };
+  }
+
+  const { original, processed } = report;
+
+  if (original.width !== mask.width || original.height !== mask.height) {
+    return {
+      status: 400,
+      body: {
+        error: 'Mask size mismatch',
+        message: `The mask is ${mask.width}x${mask.height} but the image is ${original.width}x${original.height}`
+      }
+    };
+  }
+
+  if (processed.width !== mask.width || processed.height !== mask.height) {
+    mask.inputDataUri = await scaleMask(mask.dataUri, processed);
+  }
+
+  return { mask };
+};
+
+// Queues a prediction for the uploaded image and responds immediately with
+// a job id; the client polls GET /api/jobs/:id for the result.
+const queueGenerationJob = async (req, res, model) => {
+  const generationKind = GENERATION_KINDS[model.kind];
+  const jobs = [];
+  let holdIds = [];
+  const started = new Set(); // Indexes of outputs running on the provider
+
+  try {
+    const { input: modelInput, parameters, errors } = validateModelInputs(model, req.body);
+    const numOutputs = req.body.numOutputs === undefined || req.body.numOutputs === '' ? 1 : Number(req.body.numOutputs);
+
+    if (!Number.isInteger(numOutputs) || numOutputs < 1 || numOutputs > MAX_NUM_OUTPUTS) {
+    errors.push(`numOutputs must be between 1 and ${MAX_NUM_OUTPUTS}`);
+    }
+
+    if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid parameters', details: errors.join('. ') });
+    }
+
+    const { image: uploaded, parentEdit, sourceImageId: keptSourceId, keepAsSource, status: imageStatus, body: imageError } = await resolveInputImage(req, generationKind);
+
+    if (imageError) {
+    return res.status(imageStatus).json(imageError);
+    }
+
+    // Orient, downsize and strip the image before it is priced or sent
+    const { image, report: preprocessing, error: preprocessError } = await preprocessImage(uploaded, { maxMegapixels: model.maxInputMegapixels });
+
+    if (preprocessError) {
+    return res.status(400).json({ error: 'Invalid image', code: 'malformed_image', message: preprocessError });
+    }
+
+    const { mask, status: maskStatus, body: maskError } = await resolveMask(req, model, preprocessing);
+
+    if (maskError) {
+    return res.status(maskStatus).json(maskError);
+    }
+
+    const pricing = await fetchModelPricing(supabase, model.replicateModel);
+
+    if (!pricing) {
+    return res.status(500).json({ error: 'Pricing unavailable', message: `No price is configured for ${model.id}` });
+    }
+
+    const { credits } = quoteCredits(pricing, { megapixels: megapixels(image.buffer), outputFormat: modelInput.output_format, numOutputs, input: modelInput });
+
+    // Each output is its own job with its own share of the price, so a
+    // failed output refunds only its share
+    const shares = splitCredits(credits, numOutputs);
+    const seeds = model.inputs.seed ? outputSeeds(modelInput.seed, numOutputs) : [];
+
+    // Hold the credits up front so parallel requests can't spend them twice
+    const reserved = await reserveCreditsEach(req.user.id, shares.filter(share => share > 0), generationKind.label);
+
+    if (!reserved) {
+    return res.status(400).json({ 
+    error: 'Insufficient credits', 
+    message: `You need ${credits} credit${credits === 1 ? '' : 's'} to ${generationKind.action}. Please purchase more credits.` 
+    });
+    }
+
+    // Outputs whose share rounds down to nothing are free and take no hold
+    let nextHold = 0;
+    holdIds = shares.map(share => share > 0 ? reserved[nextHold++] : null);
+
+    // A new upload is only kept as an original once the edit is going ahead
+    const sourceImageId = keepAsSource ? await storeSourceImage(req.user.id, uploaded) : keptSourceId;
+
+    console.log(`Processing ${generationKind.label.toLowerCase()} for user:`, req.user.email);
+    console.log('File:', image.originalname);
+    console.log('Model:', model.id, 'Parameters:', parameters, 'Outputs:', numOutputs);
+
+    // Convert uploaded file to data URI (from memory buffer)
+    const imageDataUri = `data:${image.mimetype};base64,${image.buffer.toString('base64')}`;
+
+    const input = {
+    ...modelInput,
+    [model.imageInput]: imageDataUri,
+    ...(mask ? { [model.maskInput]: mask.inputDataUri || mask.dataUri } : {})
+    };
+
+    // Keep new masks so later edits can reuse them
+    if (mask && !mask.id) {
+    const { data: savedMask, error: maskSaveError } = await supabase
+    .from('image_masks')
+    .insert({
+    user_id: req.user.id,
+    mask_data: mask.dataUri,
+    width: mask.width,
+    height: mask.height
+    })
+    .select('id')
+    .single();
+
+    if (maskSaveError) {
+    throw maskSaveError;
+    }
+
+    mask.id = savedMask.id;
+    }
+
+    // The first output's job stands for the request; the others point at it
+    for (const [index, share] of shares.entries()) {
+    const { data: createdJob, error: jobError } = await supabase
+    .from('generation_jobs')
+    .insert({
+    user_id: req.user.id,
+    kind: model.kind,
+    model: model.replicateModel,
+    parameters: { model: model.id, ...parameters, ...(seeds.length ? { seed: seeds[index] } : {}) },
+    status: 'queued',
+    credit_hold_id: holdIds[index],
+    credits_used: share,
+    mask_id: mask?.id ?? null,
+    parent_edit_id: parentEdit?.id ?? null,
+    source_image_id: sourceImageId ?? null,
+    variation_of: jobs[0]?.id ?? null
+    })
+    .select()
+    .single();
+
+    if (jobError) {
+    throw jobError;
+    }
+
+    jobs.push(createdJob);
+    }
+
+    console.log(`Sending ${numOutputs} request${numOutputs === 1 ? '' : 's'} to ${imageProvider.name} provider...`);
+
+    // Start the predictions without waiting for them to finish
+    for (const [index, job] of jobs.entries()) {
+    const prediction = await imageProvider.submit(
+    model,
+    seeds.length ? { ...input, seed: seeds[index] } : input,
+    predictionWebhookOptions()
+    );
+    started.add(index);
+
+    const { data: startedJob } = await supabase
+    .from('generation_jobs')
+    .update({
+    prediction_id: prediction.id,
+    status: PREDICTION_STATUS_MAP[prediction.status] || 'queued',
+    updated_at: new Date().toISOString()
+    })
+    .eq('id', job.id)
+    .select()
+    .single();
+
+    jobs[index] = startedJob || job;
+    }
+
+    res.status(202).json({
+    success: true,
+    jobId: jobs[0].id,
+    jobIds: jobs.map(job => job.id),
+    job: formatJob(jobs[0]),
+    jobs: jobs.map(formatJob),
+    preprocessing,
+    message: `${generationKind.label} queued`
+    });
+
+  } catch (error) {
+    console.error(`Error generating ${generationKind.label.toLowerCase()}:`, error);
+
+    // Outputs not running on the provider give their held credits back, and
+    // their jobs are marked failed so pollers stop waiting on them
+    for (const [index, holdId] of holdIds.entries()) {
+    if (started.has(index)) continue;
+
+    if (holdId) {
+    await releaseCredits(holdId);
+    }
+
+    if (jobs[index]) {
+    await supabase
+    .from('generation_jobs')
+    .update({
+    status: 'failed',
+    error: error.message,
+    updated_at: new Date().toISOString(),
+    completed_at: new Date().toISOString()
+    })
+    .eq('id', jobs[index].id);
+    }
+    }
+
+    // Log failed generation
+    if (req.user) {
+    await supabase
+    .from(generationKind.historyTable)
+    .insert({
+    user_id: req.user.id,
+    parameters: req.body,
+    credits_used: 0,
+    status: 'failed'
+    });
+    }
+
+    res.status(500).json({ 
+    error: generationKind.failureMessage, 
+    details: error.message 
+    });
+  }
+};
+
+// mode=inpaint changes only the region painted white in the mask (see
+// resolveMask); the default mode edits the whole image
+app.post('/api/auth/generate-image-edit', authenticateUser, rejectLockedAccount, generationUpload, async (req, res) => {
+  const { mode = 'edit' } = req.body;
+
+  if (!['edit', 'inpaint'].includes(mode)) {
+    return res.status(400).json({ error: 'Invalid mode', message: 'mode must be edit or inpaint' });
+  }
+
+  const kind = mode === 'inpaint' ? 'inpaint' : 'image_edit';
+  const model = findModel(req.body.model || (kind === 'inpaint' ? DEFAULT_INPAINT_MODEL : DEFAULT_IMAGE_EDIT_MODEL), kind);
+
+  if (!model) {
+    return res.status(400).json({
+      error: 'Unknown model',
+      message: `${req.body.model} is not an ${kind === 'inpaint' ? 'inpainting' : 'image editing'} model`
+    });
+  }
+
+  await queueGenerationJob(req, res, model);
+});
+
+// A saved inpainting mask, as the PNG it was uploaded as
+app.get('/api/masks/:id', authenticateUser, async (req, res) => {
+  try {
+    const { data: mask, error } = await supabase
+    .from('image_masks')
+    .select('mask_data')
+    .eq('id', req.params.id)
+    .eq('user_id', req.user.id)
+    .maybeSingle();
+
+    if (error) {
+    return res.status(500).json({ error: 'Failed to fetch mask' });
+    }
+
+    if (!mask) {
+    return res.status(404).json({ error: 'Mask not found' });
+    }
+
+    const [, contentType, data] = /^data:([^;,]+);base64,(.*)$/s.exec(mask.mask_data);
+    res.type(contentType).send(Buffer.from(data, 'base64'));
+  } catch (error) {
+    console.error('Mask fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch mask' });
+  }
+});
+
+// Professional headshot: gender, background, aspectRatio and seed are
+// validated against the headshot model's inputs in lib/models.js
+app.post('/api/auth/generate-headshot', authenticateUser, rejectLockedAccount, generationUpload, async (req, res) => {
+  await queueGenerationJob(req, res, findModel(HEADSHOT_MODEL, 'headshot'));
+});
+
+// Replicate prediction webhook route
+app.post('/api/webhooks/replicate', async (req, res) => {
+  if (!process.env.REPLICATE_WEBHOOK_SECRET) {
+    return res.status(503).json({ error: 'Replicate webhooks are not configured' });
+  }
+
+  if (!req.rawBody || !verifyReplicateWebhook(process.env.REPLICATE_WEBHOOK_SECRET, req.headers, req.rawBody.toString('utf8'))) {
+    console.error('Replicate webhook signature verification failed.');
+    return res.status(400).json({ error: 'Invalid webhook signature' });
+  }
+
+  const prediction = req.body;
+
+  try {
+    const { data: job, error } = await supabase
+      .from('generation_jobs')
+      .select('*')
+      .eq('prediction_id', prediction.id)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    // Not one of ours (or already cleaned up); acknowledge so Replicate stops retrying
+    if (!job) {
+      console.warn('Replicate webhook for unknown prediction:', prediction.id);
+      return res.status(200).end();
+    }
+
+    await applyPredictionToJob(job, prediction);
+
+    // A finished batch item frees a slot for the next one
+    if (job.batch_id) {
+      await dispatchBatch(job.batch_id);
+    }
+
+    res.status(200).end();
+  } catch (err) {
+    // A 5xx makes Replicate retry the delivery
+    console.error('Replicate webhook processing error:', err);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+// List the user's generation jobs (optionally only active ones)
+app.get('/api/jobs', authenticateUser, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+
+    let query = supabase
+    .from('generation_jobs')
+    .select('*')
+    .eq('user_id', req.user.id)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+    if (req.query.status === 'active') {
+    query = query.in('status', ACTIVE_JOB_STATUSES);
+    } else if (req.query.status) {
+    query = query.eq('status', req.query.status);
+    }
+
+    const { data: jobs, error } = await query;
+
+    if (error) {
+    return res.status(500).json({ error: 'Failed to fetch jobs' });
+    }
+
+    res.json({
+    success: true,
+    jobs: jobs.map(formatJob)
+    });
+  } catch (error) {
+    console.error('Jobs fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// Get a single generation job, refreshing it from Replicate while it is active
+app.get('/api/jobs/:id', authenticateUser, async (req, res) => {
+  try {
+    const { data: job, error } = await supabase
+    .from('generation_jobs')
+    .select('*')
+    .eq('id', req.params.id)
+    .eq('user_id', req.user.id)
+    .maybeSingle();
+
+    if (error) {
+    return res.status(500).json({ error: 'Failed to fetch job' });
+    }
+
+    if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+    }
+
+    // A request for several outputs also reports the other outputs' jobs
+    const { data: siblings, error: siblingsError } = await supabase
+    .from('generation_jobs')
+    .select('*')
+    .eq('variation_of', job.id)
+    .order('created_at', { ascending: true });
+
+    if (siblingsError) {
+    return res.status(500).json({ error: 'Failed to fetch job' });
+    }
+
+    const variations = [];
+    for (const variation of [job, ...siblings]) {
+    try {
+    variations.push(await refreshJob(variation));
+    } catch (refreshError) {
+    // Replicate hiccups shouldn't break polling; report the last known state
+    console.error('Job refresh error:', refreshError);
+    variations.push(variation);
+    }
+    }
+
+    res.json({
+    success: true,
+    job: formatJob(variations[0]),
+    variations: variations.map(formatJob)
+    });
+  } catch (error) {
+    console.error('Job fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+// Batch editing: one prompt and model applied to up to BATCH_MAX_IMAGES
+// images. Every item's credits are reserved up front, one hold per item so a
+// failed item refunds only its own share. Items run as ordinary generation
+// jobs, at most BATCH_CONCURRENCY at a time; the rest wait as queued jobs
+// with their model inputs in generation_job_inputs until a slot frees up.
+// Their images are kept as source images and read back when they start.
+const BATCH_MAX_IMAGES = parseInt(process.env.BATCH_MAX_IMAGES || '10', 10);
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || '3', 10);
+// A claimed item still without a prediction after this long was lost (the
+// server stopped between claiming and submitting it) and is failed
+const BATCH_CLAIM_TIMEOUT_SECONDS = parseInt(process.env.BATCH_CLAIM_TIMEOUT_SECONDS || '300', 10);
+
+const batchUpload = upload.array('images', BATCH_MAX_IMAGES);
+
+// Submit a batch item claimed by claim_batch_jobs (running, still without a
+// prediction). Any failure fails the item, so it is never left claimed.
+const startBatchJob = async (job) => {
+  let prediction = null;
+
+  try {
+    const { data: pending, error } = await supabase
+      .from('generation_job_inputs')
+      .select('input')
+      .eq('job_id', job.id)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    // The image is read back from the kept original and prepared for the
+    // model as it was when the batch was priced
+    const model = findModel(job.parameters.model);
+    const { image: source, body: sourceError } = await loadSourceImage(job.source_image_id, job.user_id);
+
+    if (sourceError) {
+      throw new Error(sourceError.error);
+    }
+
+    const { image, error: preprocessError } = await preprocessImage(source, { maxMegapixels: model.maxInputMegapixels });
+
+    if (preprocessError) {
+      throw new Error(preprocessError);
+    }
+
+    const input = { ...pending.input, [model.imageInput]: `data:${image.mimetype};base64,${image.buffer.toString('base64')}` };
+
+    prediction = await imageProvider.submit(model, input, predictionWebhookOptions());
+
+    const { data: recorded, error: recordError } = await supabase
+      .from('generation_jobs')
+      .update({
+        prediction_id: prediction.id,
+        status: PREDICTION_STATUS_MAP[prediction.status] || 'queued',
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', job.id)
+      .eq('status', 'running')
+      .is('prediction_id', null)
+      .select('id')
+      .maybeSingle();
+
+    if (recordError) {
+      throw recordError;
+    }
+
+    // failStaleBatchClaims gave up on the item while it was being submitted
+    if (!recorded) {
+      throw new Error('Batch item was failed before its prediction started');
+    }
+  } catch (error) {
+    console.error('Batch item submit error:', job.id, error);
+    // Nothing tracks a prediction the job doesn't record
+    if (prediction) {
+      await imageProvider.cancel(prediction.id).catch(() => {});
+    }
+    // Fails the item like a failed prediction would, refunding its hold
+    await applyPredictionToJob(job, { status: 'failed', error: error.message }, { unsubmitted: true });
+  } finally {
+    await supabase
+      .from('generation_job_inputs')
+      .delete()
+      .eq('job_id', job.id);
+  }
+};
+
+// Fail items claimed more than BATCH_CLAIM_TIMEOUT_SECONDS ago that never got
+// a prediction, refunding their holds, so they don't hold a slot forever
+const failStaleBatchClaims = async (batchId) => {
+  const { data: stale, error } = await supabase
+    .from('generation_jobs')
+    .select('*')
+    .eq('batch_id', batchId)
+    .eq('status', 'running')
+    .is('prediction_id', null)
+    .lt('updated_at', new Date(Date.now() - BATCH_CLAIM_TIMEOUT_SECONDS * 1000).toISOString());
+
+  if (error) {
+    throw error;
+  }
+
+  for (const job of stale) {
+    await applyPredictionToJob(job, { status: 'failed', error: 'The item could not be started' }, { unsubmitted: true });
+    await supabase
+      .from('generation_job_inputs')
+      .delete()
+      .eq('job_id', job.id);
+  }
+};
+
+// Start waiting items while fewer than BATCH_CONCURRENCY are in flight. The
+// free slots are counted and claimed in one SQL call, so dispatchers running
+// at once (a poll and a webhook) can't both fill them.
+const dispatchBatch = async (batchId) => {
+  await failStaleBatchClaims(batchId);
+
+  const { data: claimed, error } = await supabase.rpc('claim_batch_jobs', {
+    batch_uuid: batchId,
+    max_running: BATCH_CONCURRENCY
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  for (const job of claimed.sort((a, b) => a.batch_index - b.batch_index)) {
+    await startBatchJob(job);
+  }
+};
+
+const loadBatch = async (batchId, userId) => {
+  const { data: batch, error } = await supabase
+    .from('generation_batches')
+    .select('*')
+    .eq('id', batchId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!batch) return null;
+
+  const { data: jobs, error: jobsError } = await supabase
+    .from('generation_jobs')
+    .select('*')
+    .eq('batch_id', batch.id)
+    .order('batch_index', { ascending: true });
+
+  if (jobsError) {
+    throw jobsError;
+  }
+
+  return { batch, jobs };
+};
+
+const formatBatch = (batch, jobs) => {
+  const progress = { queued: 0, running: 0, succeeded: 0, failed: 0 };
+  jobs.forEach(job => progress[job.status]++);
+
+  const creditsFor = (status) => jobs
+    .filter(job => job.status === status)
+    .reduce((total, job) => total + job.credits_used, 0);
+
+  return {
+    id: batch.id,
+    model: batch.model,
+    parameters: batch.parameters,
+    status: batch.status,
+    itemCount: batch.item_count,
+    progress,
+    creditsReserved: batch.credits_reserved,
+    creditsCharged: creditsFor('succeeded'),
+    // Failed items' holds are released, so their credits come back
+    creditsRefunded: creditsFor('failed'),
+    items: jobs.map(job => ({
+      index: job.batch_index,
+      jobId: job.id,
+      fileName: job.parameters?.fileName,
+      status: job.status,
+      imageUrl: imageUrlFor(job.image_edit_id, job),
+      error: job.error,
+      credits: job.credits_used
+    })),
+    createdAt: batch.created_at,
+    completedAt: batch.completed_at
+  };
+};
+
+// Too many files is the usual upload mistake, so it gets its own message
+const handleBatchUpload = (req, res, next) => {
+  batchUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ error: 'Too many images', message: `A batch takes at most ${BATCH_MAX_IMAGES} images, sent as images` });
+    }
+    if (err) {
+      return sendUploadFailure(res, err);
+    }
+    validateUploadedImages(req, res, next);
+  });
+};
+
+// Queue a batch: images plus one prompt, model and set of model inputs.
+// Responds 202 with the batch id; GET /api/batches/:id reports progress.
+app.post('/api/batches', authenticateUser, rejectLockedAccount, handleBatchUpload, async (req, res) => {
+  let holdIds = null;
+  let batch = null;
+  let queuedCount = 0; // Items with a job row, in item order
+
+  try {
+    const uploads = req.files || [];
+    const model = findModel(req.body.model || DEFAULT_IMAGE_EDIT_MODEL, 'image_edit');
+
+    if (uploads.length === 0) {
+    return res.status(400).json({ error: 'No images uploaded' });
+    }
+
+    if (!model) {
+    return res.status(400).json({ error: 'Unknown model', message: `${req.body.model} is not an image editing model` });
+    }
+
+    const { input: modelInput, parameters, errors } = validateModelInputs(model, req.body);
+
+    if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid parameters', details: errors.join('. ') });
+    }
+
+    const pricing = await fetchModelPricing(supabase, model.replicateModel);
+
+    if (!pricing) {
+    return res.status(500).json({ error: 'Pricing unavailable', message: `No price is configured for ${model.id}` });
+    }
+
+    // One at a time, so a large batch doesn't decode every image at once
+    const images = [];
+    const preprocessing = [];
+    for (const upload of uploads) {
+    const { image, report, error: preprocessError } = await preprocessImage(upload, { maxMegapixels: model.maxInputMegapixels });
+
+    if (preprocessError) {
+    return res.status(400).json({ error: 'Invalid image', code: 'malformed_image', message: `${upload.originalname}: ${preprocessError}`, fileName: upload.originalname });
+    }
+
+    images.push(image);
+    preprocessing.push({ fileName: upload.originalname, ...report });
+    }
+
+    const amounts = images.map(image => quoteCredits(pricing, {
+    megapixels: megapixels(image.buffer),
+    outputFormat: modelInput.output_format,
+    input: modelInput
+    }).credits);
+    const totalCredits = amounts.reduce((total, amount) => total + amount, 0);
+
+    // All or nothing: the batch only starts if every item can be paid for
+    const reserved = await reserveCreditsEach(req.user.id, amounts, `Batch ${GENERATION_KINDS.image_edit.label.toLowerCase()}`);
+
+    if (!reserved) {
+    return res.status(400).json({
+    error: 'Insufficient credits',
+    message: `You need ${totalCredits} credit${totalCredits === 1 ? '' : 's'} to edit these ${images.length} images. Please purchase more credits.`,
+    credits: totalCredits
+    });
+    }
+
+    holdIds = reserved;
+
+    const { data: createdBatch, error: batchError } = await supabase
+    .from('generation_batches')
+    .insert({
+    user_id: req.user.id,
+    model: model.id,
+    parameters,
+    item_count: images.length,
+    credits_reserved: totalCredits
+    })
+    .select()
+    .single();
+
+    if (batchError) {
+    throw batchError;
+    }
+
+    batch = createdBatch;
+
+    console.log(`Queueing batch of ${images.length} images for user:`, req.user.email);
+
+    for (const [index, image] of images.entries()) {
+    // Items are sent from their kept original when they start (see startBatchJob)
+    const sourceImageId = await storeSourceImage(req.user.id, uploads[index]);
+
+    if (!sourceImageId) {
+    throw new Error(`${image.originalname} could not be stored`);
+    }
+
+    const { data: job, error: jobError } = await supabase
+    .from('generation_jobs')
+    .insert({
+    user_id: req.user.id,
+    kind: model.kind,
+    model: model.replicateModel,
+    parameters: { model: model.id, ...parameters, fileName: image.originalname },
+    status: 'queued',
+    credit_hold_id: holdIds[index],
+    credits_used: amounts[index],
+    source_image_id: sourceImageId,
+    batch_id: batch.id,
+    batch_index: index
+    })
+    .select()
+    .single();
+
+    if (jobError) {
+    throw jobError;
+    }
+
+    queuedCount += 1;
+
+    const { error: inputError } = await supabase
+    .from('generation_job_inputs')
+    .insert({ job_id: job.id, input: modelInput });
+
+    if (inputError) {
+    throw inputError;
+    }
+    }
+
+    await dispatchBatch(batch.id);
+
+    const { jobs } = await loadBatch(batch.id, req.user.id);
+
+    res.status(202).json({
+    success: true,
+    batchId: batch.id,
+    batch: formatBatch(batch, jobs),
+    preprocessing,
+    message: `Batch of ${images.length} images queued`
+    });
+  } catch (error) {
+    console.error('Batch create error:', error);
+
+    // Items still waiting never reached the provider, so they fail and their
+    // holds go back, as do the holds of items that never got a job. Items
+    // already submitted run on and finish as usual.
+    if (holdIds) {
+    const now = new Date().toISOString();
+    let waiting = [];
+
+    if (batch) {
+    const { data: failed } = await supabase
+    .from('generation_jobs')
+    .update({ status: 'failed', error: error.message, updated_at: now, completed_at: now })
+    .eq('batch_id', batch.id)
+    .eq('status', 'queued')
+    .is('prediction_id', null)
+    .select('id, credit_hold_id');
+    waiting = failed || [];
+    }
+
+    await Promise.all([...waiting.map(job => job.credit_hold_id), ...holdIds.slice(queuedCount)].map(releaseCredits));
+
+    if (batch) {
+    await supabase
+    .from('generation_job_inputs')
+    .delete()
+    .in('job_id', waiting.map(job => job.id));
+
+    const { count: active } = await supabase
+    .from('generation_jobs')
+    .select('id', { count: 'exact', head: true })
+    .eq('batch_id', batch.id)
+    .in('status', ACTIVE_JOB_STATUSES);
+
+    if (!active) {
+    await supabase
+    .from('generation_batches')
+    .update({ status: 'completed', completed_at: now })
+    .eq('id', batch.id);
+    }
+    }
+    }
+
+    res.status(500).json({
+    error: 'Failed to queue batch',
+    details: error.message
+    });
+  }
+});
+
+// The user's batches, newest first (?status=running for unfinished ones)
+app.get('/api/batches', authenticateUser, async (req, res) => {
+  try {
+    let query = supabase
+    .from('generation_batches')
+    .select('*')
+    .eq('user_id', req.user.id)
+    .order('created_at', { ascending: false })
+    .limit(20);
+
+    if (req.query.status) {
+    query = query.eq('status', req.query.status);
+    }
+
+    const { data: batches, error } = await query;
+
+    if (error) {
+    return res.status(500).json({ error: 'Failed to fetch batches' });
+    }
+
+    res.json({
+    success: true,
+    batches: batches.map(batch => ({
+    id: batch.id,
+    model: batch.model,
+    status: batch.status,
+    itemCount: batch.item_count,
+    creditsReserved: batch.credits_reserved,
+    createdAt: batch.created_at,
+    completedAt: batch.completed_at
+    }))
+    });
+  } catch (error) {
+    console.error('Batches fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch batches' });
+  }
+});
+
+// Batch progress. Polling also moves the batch along: running items are
+// refreshed from the provider and waiting items fill any free slots.
+app.get('/api/batches/:id', authenticateUser, async (req, res) => {
+  try {
+    let loaded = await loadBatch(req.params.id, req.user.id);
+
+    if (!loaded) {
+    return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    if (loaded.batch.status === 'running') {
+    for (const job of loaded.jobs) {
+    try {
+    await refreshJob(job);
+    } catch (refreshError) {
+    console.error('Batch item refresh error:', job.id, refreshError);
+    }
+    }
+
+    await dispatchBatch(loaded.batch.id);
+    loaded = await loadBatch(loaded.batch.id, req.user.id);
+
+    if (!loaded.jobs.some(job => ACTIVE_JOB_STATUSES.includes(job.status))) {
+    const { data: completed } = await supabase
+    .from('generation_batches')
+    .update({ status: 'completed', completed_at: new Date().toISOString() })
+    .eq('id', loaded.batch.id)
+    .eq('status', 'running')
+    .select()
+    .maybeSingle();
+    loaded.batch = completed || loaded.batch;
+    }
+    }
+
+    res.json({
+    success: true,
+    batch: formatBatch(loaded.batch, loaded.jobs)
+    });
+  } catch (error) {
+    console.error('Batch fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch batch' });
+  }
+});
+
+// Every successful output of a batch as one ZIP, numbered in upload order
+app.get('/api/batches/:id/download', authenticateUser, async (req, res) => {
+  try {
+    const loaded = await loadBatch(req.params.id, req.user.id);
+
+    if (!loaded) {
+    return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const succeeded = loaded.jobs.filter(job => job.status === 'succeeded' && job.image_url);
+
+    if (succeeded.length === 0) {
+    return res.status(404).json({ error: 'Nothing to download', message: 'No images in this batch were edited successfully' });
+    }
+
+    const entries = [];
+    for (const job of succeeded) {
+    try {
+    const { buffer } = await readImage(job);
+    const name = path.parse(job.parameters?.fileName || 'image').name.replace(/[^\w.-]+/g, '_');
+    const extension = path.extname(job.storage_path || new URL(job.image_url).pathname) || '.png';
+    entries.push({ name: `${String(job.batch_index + 1).padStart(2, '0')}-${name}${extension}`, data: buffer });
+    } catch (fetchError) {
+    console.error('Batch output fetch error:', job.id, fetchError);
+    }
+    }
+
+    if (entries.length === 0) {
+    return res.status(410).json({ error: 'Outputs unavailable', message: 'This batch\'s images have expired' });
+    }
+
+    res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="batch-${loaded.batch.id}.zip"`
+    });
+    res.send(createZip(entries));
+  } catch (error) {
+    console.error('Batch download error:', error);
+    res.status(500).json({ error: 'Failed to download batch' });
+  }
+});
+
+// Prompt templates: the user's own and global ones (no user_id), most used
+// first. Anyone can use a global template; only ADMIN_EMAILS can change them.
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+const isAdmin = (user) => ADMIN_EMAILS.includes(user.email.toLowerCase());
+
+const canEditTemplate = (template, user) => template.user_id === user.id || (template.user_id === null && isAdmin(user));
+
+const formatPromptTemplate = (template, user) => ({
+  id: template.id,
+  name: template.name,
+  description: template.description,
+  template: template.template,
+  variables: templateVariables(template.template),
+  global: template.user_id === null,
+  editable: canEditTemplate(template, user),
+  usageCount: template.usage_count,
+  createdAt: template.created_at,
+  updatedAt: template.updated_at
+});
+
+// A template the user can see, or null
+const loadPromptTemplate = async (id, userId) => {
+  const { data: template, error } = await supabase
+  .from('prompt_templates')
+  .select('*')
+  .eq('id', id)
+  .or(`user_id.is.null,user_id.eq.${userId}`)
+  .maybeSingle();
+
+  if (error) throw error;
+  return template;
+};
+
+app.get('/api/prompt-templates', authenticateUser, async (req, res) => {
+  try {
+    const { data: templates, error } = await supabase
+    .from('prompt_templates')
+    .select('*')
+    .or(`user_id.is.null,user_id.eq.${req.user.id}`)
+    .order('usage_count', { ascending: false })
+    .order('name');
+
+    if (error) {
+    return res.status(500).json({ error: 'Failed to fetch prompt templates' });
+    }
+
+    res.json({
+    success: true,
+    templates: templates.map(template => formatPromptTemplate(template, req.user))
+    });
+  } catch (error) {
+    console.error('Prompt templates fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch prompt templates' });
+  }
+});
+
+// name, template and optional description; global: true (admins only)
+// shares it with everyone
+app.post('/api/prompt-templates', authenticateUser, async (req, res) => {
+  try {
+    const { fields, errors } = validateTemplate(req.body);
+    const global = req.body.global === true;
+
+    if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid template', details: errors.join('. ') });
+    }
+
+    if (global && !isAdmin(req.user)) {
+    return res.status(403).json({ error: 'Forbidden', message: 'Only admins can create global templates' });
+    }
+
+    const { data: template, error } = await supabase
+    .from('prompt_templates')
+    .insert({ ...fields, user_id: global ? null : req.user.id })
+    .select()
+    .single();
+
+    if (error) {
+    console.error('Prompt template insert error:', error);
+    return res.status(500).json({ error: 'Failed to create prompt template' });
+    }
+
+    res.status(201).json({
+    success: true,
+    template: formatPromptTemplate(template, req.user)
+    });
+  } catch (error) {
+    console.error('Prompt template create error:', error);
+    res.status(500).json({ error: 'Failed to create prompt template' });
+  }
+});
+
+// Any of name, template and description
+app.patch('/api/prompt-templates/:id', authenticateUser, async (req, res) => {
+  try {
+    const existing = await loadPromptTemplate(req.params.id, req.user.id);
+
+    if (!existing) {
+    return res.status(404).json({ error: 'Prompt template not found' });
+    }
+
+    if (!canEditTemplate(existing, req.user)) {
+    return res.status(403).json({ error: 'Forbidden', message: 'Only admins can change global templates' });
+    }
+
+    const { fields, errors } = validateTemplate(req.body, { partial: true });
+
+    if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid template', details: errors.join('. ') });
+    }
+
+    const { data: template, error } = await supabase
+    .from('prompt_templates')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', existing.id)
+    .select()
+    .single();
+
+    if (error) {
+    console.error('Prompt template update error:', error);
+    return res.status(500).json({ error: 'Failed to update prompt template' });
+    }
+
+    res.json({
+    success: true,
+    template: formatPromptTemplate(template, req.user)
+    });
+  } catch (error) {
+    console.error('Prompt template update error:', error);
+    res.status(500).json({ error: 'Failed to update prompt template' });
+  }
+});
+
+app.delete('/api/prompt-templates/:id', authenticateUser, async (req, res) => {
+  try {
+    const existing = await loadPromptTemplate(req.params.id, req.user.id);
+
+    if (!existing) {
+    return res.status(404).json({ error: 'Prompt template not found' });
+    }
+
+    if (!canEditTemplate(existing, req.user)) {
+    return res.status(403).json({ error: 'Forbidden', message: 'Only admins can delete global templates' });
+    }
+
+    const { error } = await supabase
+    .from('prompt_templates')
+    .delete()
+    .eq('id', existing.id);
+
+    if (error) {
+    return res.status(500).json({ error: 'Failed to delete prompt template' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Prompt template delete error:', error);
+    res.status(500).json({ error: 'Failed to delete prompt template' });
+  }
+});
+
+// Fill in a template's variables ({ values: { color: 'white' } }) and count
+// the use. Responds with the prompt to edit with.
+app.post('/api/prompt-templates/:id/use', authenticateUser, async (req, res) => {
+  try {
+    const template = await loadPromptTemplate(req.params.id, req.user.id);
+
+    if (!template) {
+    return res.status(404).json({ error: 'Prompt template not found' });
+    }
+
+    const { prompt, errors } = fillTemplate(template.template, req.body.values || {});
+
+    if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid template values', details: errors.join('. ') });
+    }
+
+    const { data: usageCount, error } = await supabase.rpc('increment_prompt_template_usage', {
+    template_uuid: template.id
+    });
+
+    if (error) {
+    // The prompt is still good; only the count is off
+    console.error('Prompt template usage count error:', error);
+    }
+
+    res.json({
+    success: true,
+    prompt,
+    usageCount: usageCount ?? template.usage_count
+    });
+  } catch (error) {
+    console.error('Prompt template use error:', error);
+    res.status(500).json({ error: 'Failed to use prompt template' });
+  }
+});
+
+// Daily credit expiry sweep (scheduled in vercel.json; Vercel sends CRON_SECRET as a bearer token).
+// Also returns holds left behind by crashed requests or lost webhooks to
+// users who haven't reserved credits since.
+app.get('/api/cron/expire-credits', async (req, res) => {
+  if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { data: expiredHolds, error: holdsError } = await supabase.rpc('expire_credit_holds');
+
+    if (holdsError) {
+      console.error('Credit hold expiry sweep error:', holdsError);
+      return res.status(500).json({ error: 'Failed to expire credits' });
+    }
+
+    const { data: expiredCredits, error } = await supabase.rpc('expire_credit_lots');
+
+    if (error) {
+      console.error('Credit expiry sweep error:', error);
+      return res.status(500).json({ error: 'Failed to expire credits' });
+    }
+
+    console.log(`Credit expiry sweep: ${expiredHolds} holds returned, ${expiredCredits} credits expired`);
+    res.json({ success: true, expiredHolds, expiredCredits });
+  } catch (error) {
+    console.error('Credit expiry sweep error:', error);
+    res.status(500).json({ error: 'Failed to expire credits' });
   }
 });
 
 // Health check endpoint
 app.get('/health', (req, res) => {
   const envStatus = {
+    IMAGE_PROVIDER: imageProvider.name,
+    STORAGE_BACKEND: imageStorage.name,
     REPLICATE_API_TOKEN: !!process.env.REPLICATE_API_TOKEN,
     SUPABASE_URL: !!process.env.SUPABASE_URL,
     SUPABASE_SERVICE_KEY: !!process.env.SUPABASE_SERVICE_KEY,
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { imageSize, megapixels } from '../lib/image-size.js';
+
+const encode = (format, options = {}) => sharp({ create: { width: 321, height: 123, channels: 3, background: '#808080' } })
+  .toFormat(format, options)
+  .toBuffer();
+
+test('reads the size from PNG, JPEG, GIF and WebP headers', async () => {
+  for (const format of ['png', 'jpeg', 'gif', 'webp']) {
+    assert.deepEqual(imageSize(await encode(format)), { width: 321, height: 123 }, format);
+  }
+});
+
+test('reads the size from lossless and extended WebP headers', async () => {
+  assert.deepEqual(imageSize(await encode('webp', { lossless: true })), { width: 321, height: 123 });
+
+  const extended = await sharp(await encode('webp')).withExif({ IFD0: { Copyright: 'Test' } }).webp().toBuffer();
+  assert.equal(extended.toString('ascii', 12, 16), 'VP8X');
+  assert.deepEqual(imageSize(extended), { width: 321, height: 123 });
+});
+
+test('reads the size of a JPEG whose frame header follows its EXIF', async () => {
+  const jpeg = await sharp(await encode('jpeg')).withExif({ IFD0: { Make: 'Phone Maker' } }).jpeg().toBuffer();
+
+  assert.deepEqual(imageSize(jpeg), { width: 321, height: 123 });
+});
+
+test('returns null for anything it does not recognise', () => {
+  assert.equal(imageSize(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')), null);
+  assert.equal(imageSize(Buffer.alloc(0)), null);
+  assert.equal(megapixels(Buffer.from('not an image')), null);
+});
+
+test('converts the size to megapixels', async () => {
+  assert.equal(megapixels(await encode('png')), (321 * 123) / 1e6);
+});
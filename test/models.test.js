@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findModel, formatModel, validateModelInputs } from '../lib/models.js';
+
+const kontextDev = findModel('flux-kontext-dev', 'image_edit');
+
+test('turns form fields into a Replicate input, filling in defaults', () => {
+  const { input, parameters, errors } = validateModelInputs(kontextDev, {
+    prompt: '  make it snow  ',
+    outputFormat: 'png',
+    numInferenceSteps: '12',
+    guidance: '3.5',
+    seed: '42'
+  });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(input, {
+    prompt: 'make it snow',
+    output_format: 'png',
+    output_quality: 80,
+    aspect_ratio: 'match_input_image',
+    num_inference_steps: 12,
+    guidance: 3.5,
+    seed: 42
+  });
+  assert.equal(parameters.numInferenceSteps, 12);
+  assert.equal(parameters.outputQuality, 80);
+});
+
+test('leaves out empty optional inputs that have no default', () => {
+  const { input, errors } = validateModelInputs(kontextDev, { prompt: 'snow', seed: '  ' });
+
+  assert.deepEqual(errors, []);
+  assert.equal('seed' in input, false);
+});
+
+test('reports every invalid field', () => {
+  const { errors } = validateModelInputs(kontextDev, {
+    prompt: 'x'.repeat(2001),
+    outputFormat: 'tiff',
+    numInferenceSteps: '12.5',
+    guidance: 'lots',
+    outputQuality: '101'
+  });
+
+  assert.deepEqual(errors, [
+    'Edit Prompt must be at most 2000 characters',
+    'Output Format must be one of webp, jpg, png',
+    'Output Quality must be between 0 and 100',
+    'Inference Steps must be a whole number',
+    'Guidance must be a number'
+  ]);
+});
+
+test('requires required inputs unless the check is partial', () => {
+  assert.deepEqual(validateModelInputs(kontextDev, {}).errors, ['Edit Prompt is required']);
+  assert.deepEqual(validateModelInputs(kontextDev, { prompt: '   ' }).errors, ['Edit Prompt is required']);
+  assert.deepEqual(validateModelInputs(kontextDev, {}, { partial: true }).errors, []);
+});
+
+test('reads booleans from form values and JSON', () => {
+  const kontextPro = findModel('flux-kontext-pro', 'image_edit');
+
+  assert.equal(validateModelInputs(kontextPro, { prompt: 'snow', promptUpsampling: 'on' }).input.prompt_upsampling, true);
+  assert.equal(validateModelInputs(kontextPro, { prompt: 'snow', promptUpsampling: false }).input.prompt_upsampling, false);
+  assert.deepEqual(validateModelInputs(kontextPro, { prompt: 'snow', promptUpsampling: 'maybe' }).errors, ['Prompt Upsampling must be true or false']);
+});
+
+test('finds models by id and kind', () => {
+  assert.equal(findModel('flux-fill-pro', 'inpaint').id, 'flux-fill-pro');
+  assert.equal(findModel('flux-fill-pro', 'image_edit'), null);
+  assert.equal(findModel('no-such-model'), null);
+});
+
+test('describes inputs to clients by their form field', () => {
+  const fields = formatModel(kontextDev).inputs.map(input => input.field);
+
+  assert.ok(fields.includes('numInferenceSteps'));
+  assert.ok(fields.includes('outputFormat'));
+});
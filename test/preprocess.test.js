@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { preprocessImage, scaleMask } from '../lib/preprocess.js';
+
+const solid = (width, height, background = '#3366cc') => sharp({ create: { width, height, channels: 3, background } });
+
+// Noise, so the encoded body is long enough to cut in half
+const noisy = (width, height) => sharp({
+  create: { width, height, channels: 3, background: '#000', noise: { type: 'gaussian', mean: 128, sigma: 30 } }
+});
+
+const upload = (buffer, mimetype, originalname = 'photo') => ({ buffer, mimetype, originalname, size: buffer.length });
+
+// A 300×200 JPEG that displays at 200×300 (orientation 6: turn a quarter
+// clockwise) and carries a camera model and GPS position
+const phonePhoto = (image = solid(300, 200)) => image
+  .jpeg()
+  .withMetadata({ orientation: 6 })
+  .withExifMerge({
+    IFD0: { Make: 'Phone Maker', Model: 'Phone 1' },
+    IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 0/1', GPSLongitudeRef: 'W', GPSLongitude: '0/1 7/1 0/1' }
+  })
+  .toBuffer();
+
+test('rotates a photo to its EXIF orientation and strips its metadata', async () => {
+  const input = await phonePhoto();
+  const before = await sharp(input).metadata();
+  assert.equal(before.orientation, 6);
+  assert.ok(before.exif.includes('Phone Maker'));
+
+  const { image, report } = await preprocessImage(upload(input, 'image/jpeg'));
+  const after = await sharp(image.buffer).metadata();
+
+  assert.equal(after.width, 200);
+  assert.equal(after.height, 300);
+  assert.equal(after.orientation, undefined);
+  assert.equal(after.exif, undefined);
+  assert.ok(!image.buffer.includes('Phone Maker'));
+  assert.equal(image.mimetype, 'image/jpeg');
+  assert.deepEqual(report.original, { width: 200, height: 300, format: 'jpeg', bytes: input.length });
+  assert.deepEqual(report.changes, ['Rotated to match its EXIF orientation', 'Removed EXIF metadata']);
+});
+
+test('downsizes to the model\'s megapixel limit, keeping the aspect ratio', async () => {
+  const input = await solid(2000, 1000).png().toBuffer();
+  const { image, report } = await preprocessImage(upload(input, 'image/png'), { maxMegapixels: 0.5 });
+
+  assert.deepEqual(report.processed, { width: 1000, height: 500, format: 'png', bytes: image.buffer.length });
+  assert.match(report.changes[0], /^Resized from 2000×1000 to 1000×500/);
+});
+
+test('passes an image that needs no changes through untouched', async () => {
+  const file = upload(await solid(64, 64).png().toBuffer(), 'image/png');
+  const { image, report } = await preprocessImage(file, { maxMegapixels: 1 });
+
+  assert.equal(image, file);
+  assert.deepEqual(report.changes, []);
+});
+
+test('keeps only the first frame of an animation, as PNG', async () => {
+  const frames = await Promise.all(['#ff0000', '#00ff00'].map(colour => solid(40, 30, colour).png().toBuffer()));
+  const gif = await sharp(frames, { join: { animated: true } }).gif().toBuffer();
+
+  const { image, report } = await preprocessImage(upload(gif, 'image/gif'));
+  const { pages, format } = await sharp(image.buffer).metadata();
+  const { dominant } = await sharp(image.buffer).stats();
+
+  assert.equal(format, 'png');
+  assert.equal(pages, undefined);
+  assert.ok(dominant.r > 200 && dominant.g < 50);
+  assert.ok(report.changes.includes('Used the first of its 2 frames'));
+});
+
+test('reports an image cut off after its header as undecodable', async () => {
+  const input = await phonePhoto(noisy(300, 200));
+  const { error } = await preprocessImage(upload(input.subarray(0, Math.floor(input.length / 2)), 'image/jpeg'));
+
+  assert.equal(error, 'The image could not be decoded');
+});
+
+test('scales a mask to the processed size', async () => {
+  const mask = await solid(200, 100, '#ffffff').png().toBuffer();
+  const scaled = await scaleMask(`data:image/png;base64,${mask.toString('base64')}`, { width: 100, height: 50 });
+  const { width, height } = await sharp(Buffer.from(scaled.split(',')[1], 'base64')).metadata();
+
+  assert.deepEqual({ width, height }, { width: 100, height: 50 });
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { quoteCredits, splitCredits } from '../lib/pricing.js';
+
+const pricing = (overrides = {}) => ({
+  base_credits: 2,
+  resolution_multipliers: { 1: 1, 4: 1.5 },
+  format_multipliers: {},
+  parameter_multipliers: {},
+  extra_output_multiplier: 1,
+  ...overrides
+});
+
+test('prices by the smallest resolution tier the image fits in', () => {
+  assert.equal(quoteCredits(pricing(), { megapixels: 0.5 }).credits, 2);
+  assert.equal(quoteCredits(pricing(), { megapixels: 3 }).credits, 3);
+  // Larger than every tier: the highest applies
+  assert.equal(quoteCredits(pricing(), { megapixels: 12 }).credits, 3);
+  // Before an image is chosen: the lowest applies
+  assert.equal(quoteCredits(pricing(), {}).credits, 2);
+});
+
+test('rounds fractional prices up to a whole credit', () => {
+  assert.equal(quoteCredits(pricing({ base_credits: 1 }), { megapixels: 3 }).credits, 2);
+  assert.equal(quoteCredits(pricing({ base_credits: 1, format_multipliers: { png: 1.1 } }), { outputFormat: 'png' }).credits, 2);
+});
+
+test('does not round float noise up to an extra credit', () => {
+  // 10 × 0.1 × 3 is 3.0000000000000004 in floating point
+  const quote = quoteCredits(pricing({
+    base_credits: 10,
+    resolution_multipliers: {},
+    parameter_multipliers: { num_inference_steps: { 20: 0.1 }, guidance: { 5: 3 } }
+  }), {
+    input: { num_inference_steps: 20, guidance: 5 }
+  });
+
+  assert.equal(quote.credits, 3);
+});
+
+test('charges at least one credit', () => {
+  assert.equal(quoteCredits(pricing({ base_credits: 1, format_multipliers: { webp: 0.5 } }), { outputFormat: 'webp' }).credits, 1);
+});
+
+test('prices extra outputs with extra_output_multiplier and parameters by value', () => {
+  const quote = quoteCredits(pricing({ extra_output_multiplier: 0.5, parameter_multipliers: { aspect_ratio: { '21:9': 1.25 } } }), {
+    numOutputs: 3,
+    input: { aspect_ratio: '21:9' }
+  });
+
+  // 2 × 1.25 × (1 + 2 × 0.5)
+  assert.equal(quote.credits, 5);
+  assert.equal(quote.parameterMultiplier, 1.25);
+  assert.equal(quote.numOutputs, 3);
+});
+
+test('splits a price into whole-credit shares, earlier outputs taking the remainder', () => {
+  assert.deepEqual(splitCredits(7, 3), [3, 2, 2]);
+  assert.deepEqual(splitCredits(6, 3), [2, 2, 2]);
+});
+
+test('leaves outputs beyond the price with a zero share', () => {
+  assert.deepEqual(splitCredits(2, 4), [1, 1, 0, 0]);
+  assert.equal(splitCredits(2, 4).reduce((total, share) => total + share, 0), 2);
+});
@@ -0,0 +1,72 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { PGlite } from '@electric-sql/pglite';
+
+// database_schema.sql on an in-memory Postgres, with just enough of
+// Supabase's auth schema for it to load
+const db = new PGlite();
+
+const createUser = async (email) => {
+  const { rows } = await db.query('INSERT INTO auth.users (email) VALUES ($1) RETURNING id', [email]);
+  return rows[0].id;
+};
+
+const createPromo = (code, { maxRedemptions = null, perUserLimit = 1 } = {}) => db.query(
+  `INSERT INTO public.promo_codes (code, kind, bonus_percentage, max_redemptions, per_user_limit)
+   VALUES ($1, 'purchase', 20, $2, $3)`,
+  [code, maxRedemptions, perUserLimit]
+);
+
+const applyPromo = async (userId, code, sessionId) => {
+  const { rows } = await db.query('SELECT public.apply_purchase_promo($1, $2, 100, $3) AS bonus', [userId, code, sessionId]);
+  return rows[0].bonus;
+};
+
+const redemptionCount = async (code) => {
+  const { rows } = await db.query('SELECT redemption_count FROM public.promo_codes WHERE code = $1', [code]);
+  return rows[0].redemption_count;
+};
+
+before(async () => {
+  await db.exec(`
+    CREATE SCHEMA auth;
+    CREATE TABLE auth.users (id UUID PRIMARY KEY DEFAULT gen_random_uuid(), email TEXT, raw_user_meta_data JSONB);
+    CREATE FUNCTION auth.uid() RETURNS UUID AS $$ SELECT NULL::uuid $$ LANGUAGE sql;
+    CREATE ROLE anon;
+    CREATE ROLE authenticated;
+  `);
+  await db.exec(fs.readFileSync(new URL('../database_schema.sql', import.meta.url), 'utf8'));
+});
+
+test('applies a purchase promo once per checkout session', async () => {
+  const userId = await createUser('retry@example.com');
+  await createPromo('RETRY20');
+
+  assert.equal(await applyPromo(userId, 'RETRY20', 'cs_retry'), 20);
+  assert.equal(await applyPromo(userId, 'RETRY20', 'cs_retry'), 0);
+  assert.equal(await redemptionCount('RETRY20'), 1);
+});
+
+test('gives no bonus to a second session with a single-use code', async () => {
+  const userId = await createUser('twice@example.com');
+  await createPromo('ONCE20');
+
+  // Both sessions were created (and the code validated) before either was paid
+  assert.equal(await applyPromo(userId, 'ONCE20', 'cs_once_1'), 20);
+  assert.equal(await applyPromo(userId, 'ONCE20', 'cs_once_2'), 0);
+  assert.equal(await redemptionCount('ONCE20'), 1);
+
+  const { rows } = await db.query('SELECT credits FROM public.user_profiles WHERE id = $1', [userId]);
+  assert.equal(rows[0].credits, 10 + 20);
+});
+
+test('gives no bonus once a code reaches max_redemptions', async () => {
+  const first = await createUser('first@example.com');
+  const second = await createUser('second@example.com');
+  await createPromo('CAPPED20', { maxRedemptions: 1, perUserLimit: 5 });
+
+  assert.equal(await applyPromo(first, 'CAPPED20', 'cs_capped_1'), 20);
+  assert.equal(await applyPromo(second, 'CAPPED20', 'cs_capped_2'), 0);
+  assert.equal(await redemptionCount('CAPPED20'), 1);
+});
@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fillTemplate } from '../lib/prompt-templates.js';
+
+test('fills variables from the values given', () => {
+  assert.deepEqual(fillTemplate('A {style} portrait in {place}', { style: ' watercolor ', place: 'Paris' }), {
+    prompt: 'A watercolor portrait in Paris',
+    errors: []
+  });
+});
+
+test('does not fill variables from Object.prototype', () => {
+  const { prompt, errors } = fillTemplate('Draw {constructor} with {toString}', {});
+
+  assert.equal(prompt, null);
+  assert.deepEqual(errors, ['A value for {constructor} is required', 'A value for {toString} is required']);
+});
+
+test('accepts values named like Object.prototype properties', () => {
+  assert.equal(fillTemplate('Draw {constructor}', { constructor: 'a robot' }).prompt, 'Draw a robot');
+});
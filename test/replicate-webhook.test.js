@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { signReplicateWebhook, verifyReplicateWebhook } from '../lib/replicate-webhook.js';
+
+const SECRET = `whsec_${Buffer.from('test webhook signing key').toString('base64')}`;
+const BODY = JSON.stringify({ id: 'prediction-1', status: 'succeeded', output: ['https://example.com/out.png'] });
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const signedHeaders = ({ secret = SECRET, webhookId = 'msg_1', timestamp = now(), body = BODY } = {}) => ({
+  'webhook-id': webhookId,
+  'webhook-timestamp': String(timestamp),
+  'webhook-signature': `v1,${signReplicateWebhook(secret, webhookId, timestamp, body)}`
+});
+
+test('accepts a delivery signed with the secret', () => {
+  assert.equal(verifyReplicateWebhook(SECRET, signedHeaders(), BODY), true);
+});
+
+test('accepts any matching entry among several signatures', () => {
+  const headers = signedHeaders();
+  headers['webhook-signature'] = `v1,bm90IHRoZSBzaWduYXR1cmU= ${headers['webhook-signature']}`;
+
+  assert.equal(verifyReplicateWebhook(SECRET, headers, BODY), true);
+});
+
+test('rejects a delivery signed with another secret', () => {
+  const otherSecret = `whsec_${Buffer.from('some other key').toString('base64')}`;
+
+  assert.equal(verifyReplicateWebhook(SECRET, signedHeaders({ secret: otherSecret }), BODY), false);
+});
+
+test('rejects a body changed after signing', () => {
+  assert.equal(verifyReplicateWebhook(SECRET, signedHeaders(), BODY.replace('succeeded', 'failed')), false);
+});
+
+test('rejects a delivery older or newer than the tolerance', () => {
+  assert.equal(verifyReplicateWebhook(SECRET, signedHeaders({ timestamp: now() - 10 * 60 }), BODY), false);
+  assert.equal(verifyReplicateWebhook(SECRET, signedHeaders({ timestamp: now() + 10 * 60 }), BODY), false);
+});
+
+test('rejects a delivery with a malformed timestamp or missing headers', () => {
+  const headers = signedHeaders();
+
+  assert.equal(verifyReplicateWebhook(SECRET, { ...headers, 'webhook-timestamp': 'yesterday' }, BODY), false);
+  assert.equal(verifyReplicateWebhook(SECRET, { ...headers, 'webhook-signature': undefined }, BODY), false);
+  assert.equal(verifyReplicateWebhook(SECRET, { ...headers, 'webhook-id': undefined }, BODY), false);
+});
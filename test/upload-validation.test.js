@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { validateImage } from '../lib/upload-validation.js';
+
+// Noise, so the encoded body is long enough to cut in half
+const noisyImage = (width, height) => sharp({
+  create: { width, height, channels: 3, background: '#000', noise: { type: 'gaussian', mean: 128, sigma: 30 } }
+});
+
+const upload = (buffer, mimetype, originalname) => ({ buffer, mimetype, originalname });
+
+test('accepts a complete JPEG and reports its type and size', async () => {
+  const jpeg = await noisyImage(300, 200).jpeg().toBuffer();
+
+  assert.deepEqual(await validateImage(upload(jpeg, 'image/jpeg', 'photo.jpg')), { type: 'image/jpeg', width: 300, height: 200 });
+});
+
+test('rejects a JPEG cut off after its header as malformed', async () => {
+  const jpeg = await noisyImage(300, 200).jpeg().toBuffer();
+  const { error } = await validateImage(upload(jpeg.subarray(0, Math.floor(jpeg.length / 2)), 'image/jpeg', 'photo.jpg'));
+
+  assert.equal(error?.code, 'malformed_image');
+  assert.equal(error.status, 400);
+});
+
+test('rejects a PNG cut off after its header as malformed', async () => {
+  const png = await noisyImage(300, 200).png().toBuffer();
+  const { error } = await validateImage(upload(png.subarray(0, Math.floor(png.length / 2)), 'image/png', 'image.png'));
+
+  assert.equal(error?.code, 'malformed_image');
+});
+
+test('rejects content that does not match the declared type', async () => {
+  const jpeg = await noisyImage(30, 20).jpeg().toBuffer();
+  const { error } = await validateImage(upload(jpeg, 'image/png', 'image.png'));
+
+  assert.equal(error?.code, 'type_mismatch');
+});
+
+test('rejects files that are not images', async () => {
+  const { error } = await validateImage(upload(Buffer.from('<html></html>'), 'image/png', 'page.png'));
+
+  assert.equal(error?.code, 'unsupported_type');
+});
+
+test('rejects images wider than the dimension limit before decoding them', async () => {
+  const wide = await sharp({ create: { width: 13000, height: 10, channels: 3, background: '#000' } }).png().toBuffer();
+  const { error } = await validateImage(upload(wide, 'image/png', 'wide.png'));
+
+  assert.equal(error?.code, 'image_too_large');
+});
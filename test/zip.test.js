@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createZip } from '../lib/zip.js';
+
+// Reads a stored (uncompressed) archive back through its central directory
+const readZip = (archive) => {
+  const end = archive.length - 22;
+  assert.equal(archive.readUInt32LE(end), 0x06054b50);
+
+  const count = archive.readUInt16LE(end + 10);
+  let position = archive.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let index = 0; index < count; index++) {
+    assert.equal(archive.readUInt32LE(position), 0x02014b50);
+    const crc = archive.readUInt32LE(position + 16);
+    const size = archive.readUInt32LE(position + 24);
+    const nameLength = archive.readUInt16LE(position + 28);
+    const offset = archive.readUInt32LE(position + 42);
+    const name = archive.toString('utf8', position + 46, position + 46 + nameLength);
+
+    assert.equal(archive.readUInt32LE(offset), 0x04034b50);
+    assert.equal(archive.readUInt16LE(offset + 8), 0); // Stored
+    assert.equal(archive.readUInt32LE(offset + 14), crc);
+    const dataStart = offset + 30 + archive.readUInt16LE(offset + 26);
+
+    entries.push({ name, crc, data: archive.subarray(dataStart, dataStart + size) });
+    position += 46 + nameLength;
+  }
+
+  return entries;
+};
+
+test('round-trips entries with their names and contents', () => {
+  const files = [
+    { name: '01-photo.png', data: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 1, 2, 3]) },
+    { name: 'édition 2.jpg', data: Buffer.from('jpeg bytes') },
+    { name: 'empty.txt', data: Buffer.alloc(0) }
+  ];
+
+  const entries = readZip(createZip(files));
+
+  assert.deepEqual(entries.map(({ name, data }) => ({ name, data: Buffer.from(data) })), files);
+});
+
+test('records the standard CRC-32 of each entry', () => {
+  const [entry] = readZip(createZip([{ name: 'check.txt', data: Buffer.from('123456789') }]));
+
+  // The CRC-32 check value from the spec
+  assert.equal(entry.crc, 0xcbf43926);
+});
+
+test('writes an empty archive as just the end record', () => {
+  const archive = createZip([]);
+
+  assert.equal(archive.length, 22);
+  assert.deepEqual(readZip(archive), []);
+});